@@ -2,7 +2,9 @@ const { App } = require('@slack/bolt');
 const { config, validateConfig } = require('./config');
 const { logger } = require('./utils/logger');
 const RateLimiter = require('./utils/rateLimiter');
+const URLValidator = require('./utils/urlValidator');
 const JobProcessor = require('./services/jobProcessor');
+const SlackService = require('./services/slackService');
 
 // Helper function to parse page numbers from user input
 function parsePageNumbers(pageParam) {
@@ -33,6 +35,32 @@ function parsePageNumbers(pageParam) {
   return Array.from(pages).sort((a, b) => a - b);
 }
 
+// Helper function to split command arguments into the page parameter and key=value options
+function parseCommandArgs(args) {
+  const options = {};
+  let pageParam = null;
+  
+  for (const arg of args) {
+    const optionMatch = arg.match(/^([a-z]+)=(.*)$/i);
+    if (optionMatch) {
+      options[optionMatch[1].toLowerCase()] = optionMatch[2];
+    } else if (!pageParam) {
+      pageParam = arg;
+    }
+  }
+  
+  return { pageParam, options };
+}
+
+// Helper function to read an on/off option, undefined when not given or not recognized
+function parseToggle(value) {
+  if (value === undefined) return undefined;
+  const normalized = value.toLowerCase();
+  if (['on', 'true', 'yes'].includes(normalized)) return true;
+  if (['off', 'false', 'no'].includes(normalized)) return false;
+  return undefined;
+}
+
 // Determine environment and configuration
 const isProduction = process.env.NODE_ENV === 'production';
 const isDevelopment = !isProduction;
@@ -70,6 +98,13 @@ const app = new App(appConfig);
 const rateLimiter = new RateLimiter();
 const jobProcessor = new JobProcessor();
 
+// Launch pooled browsers up front so the first job doesn't pay the startup cost
+if (config.browserPool.warmOnStart) {
+  jobProcessor.warmUp().catch(error => {
+    logger.error('Browser pool warm-up failed', { error: error.message });
+  });
+}
+
 // Validate configuration on startup
 try {
   validateConfig();
@@ -125,15 +160,21 @@ app.command('/docsend-bot', async ({ command, ack, respond }) => {
     if (!text || !text.trim()) {
       await respond({
         response_type: 'ephemeral',
-        text: '❌ Please provide a DocSend URL. Usage: `/docsend-bot <docsend_url> [pages]`\n\nExamples:\n• `/docsend-bot https://docsend.com/view/abc123` (all pages)\n• `/docsend-bot https://docsend.com/view/abc123/d/xyz789 1,3,5` (specific pages)\n• `/docsend-bot https://docsend.com/view/abc123 all` (all pages)'
+        text: '❌ Please provide a DocSend URL. Usage: `/docsend-bot <docsend_url> [pages] [ocr=on] [passcode=<code>] [pdfpassword=<password>]`\n\nExamples:\n• `/docsend-bot https://docsend.com/view/abc123` (all pages)\n• `/docsend-bot https://docsend.com/view/abc123/d/xyz789 1,3,5` (specific pages)\n• `/docsend-bot https://docsend.com/view/abc123 all` (all pages)\n• `/docsend-bot https://docsend.com/view/abc123 ocr=on` (OCR image-only slides)\n• `/docsend-bot https://docsend.com/view/abc123 passcode=XXXX` (passcode-protected link)\n• `/docsend-bot https://docsend.com/view/abc123 pdfpassword=auto` (password-protect the PDF, the password is sent only to you)\n• `/docsend-bot https://docsend.com/view/s/abc123 output=zip` (data room as a ZIP of PDFs)\n• `/docsend-bot https://docsend.com/view/abc123 as=sales` (view as another registered identity, if allowed)\n• `/docsend-bot https://docsend.com/view/abc123 capture=hidpi2x` (sharper capture: standard, hidpi2x, hidpi3x or mobile)'
       });
       return;
     }
 
-    // Parse command text for URL and optional page count
+    // Parse command text for URL, optional page count and key=value options
     const commandParts = text.trim().split(/\s+/);
     const docsendUrl = commandParts[0];
-    const pageParam = commandParts[1];
+    const { pageParam, options } = parseCommandArgs(commandParts.slice(1));
+    const ocr = parseToggle(options.ocr);
+    const passcode = options.passcode || null;
+    const pdfPassword = options.pdfpassword || null;
+    const output = ['pdf', 'zip'].includes(options.output) ? options.output : undefined;
+    const identity = options.as || null;
+    const captureProfile = options.capture || null;
     
     // Parse page parameter - support specific page numbers or ranges
     let pageNumbers = null; // null means capture all pages
@@ -170,20 +211,22 @@ app.command('/docsend-bot', async ({ command, ack, respond }) => {
       url: docsendUrl, 
       pageParam, 
       pageNumbers,
+      ocr,
       defaultMax: config.rateLimiting.maxPages
     });
 
-    const docsendPattern = /^https?:\/\/docsend\.com\/view\/[a-zA-Z0-9]+(\/[a-zA-Z0-9\/]+)?(\?[^\s]*)?$/;
+    const isValidUrl = URLValidator.isSupportedURL(docsendUrl);
+    const isSpace = URLValidator.isSpaceURL(docsendUrl);
     logger.info('URL validation check', { 
       url: docsendUrl, 
-      pattern: docsendPattern.toString(),
-      isValid: docsendPattern.test(docsendUrl)
+      isValid: isValidUrl,
+      isSpace
     });
     
-    if (!docsendPattern.test(docsendUrl)) {
+    if (!isValidUrl) {
       await respond({
         response_type: 'ephemeral',
-        text: '❌ Invalid DocSend URL. Please provide a valid URL in the format: `https://docsend.com/view/...`\n\nSupported formats:\n• `https://docsend.com/view/abc123`\n• `https://docsend.com/view/abc123/d/xyz789`'
+        text: '❌ Invalid DocSend URL. Please provide a valid URL in the format: `https://docsend.com/view/...`\n\nSupported formats:\n• `https://docsend.com/view/abc123`\n• `https://docsend.com/view/abc123/d/xyz789`\n• `https://docsend.com/view/s/abc123` (data room)'
       });
       return;
     }
@@ -195,7 +238,13 @@ app.command('/docsend-bot', async ({ command, ack, respond }) => {
       url: docsendUrl,
       responseUrl: response_url,
       threadTs: thread_ts,
-      pageNumbers: pageNumbers // Pass specific page numbers to job processor
+      pageNumbers: pageNumbers, // Pass specific page numbers to job processor
+      ocr,
+      passcode,
+      pdfPassword,
+      output,
+      identity,
+      captureProfile
     };
 
     // Mark job as started in rate limiter
@@ -213,7 +262,9 @@ app.command('/docsend-bot', async ({ command, ack, respond }) => {
 
     // Send immediate response
     let pageInfo = 'All pages';
-    if (pageNumbers) {
+    if (isSpace) {
+      pageInfo = `Every document in the data room (${(output || config.space.output) === 'zip' ? 'ZIP of PDFs' : 'combined PDF'})`;
+    } else if (pageNumbers) {
       if (pageNumbers.length === 1) {
         pageInfo = `Page ${pageNumbers[0]}`;
       } else if (pageNumbers.length <= 5) {
@@ -225,7 +276,7 @@ app.command('/docsend-bot', async ({ command, ack, respond }) => {
     
     await respond({
       response_type: 'ephemeral',
-      text: `🔄 Starting DocSend conversion...\n📄 **Pages:** ${pageInfo}\n⏱️ You'll receive the PDF when it's ready!`
+      text: `🔄 Starting DocSend conversion...\n📄 **Pages:** ${pageInfo}\n${ocr ? '🔍 **OCR:** on\n' : ''}⏱️ You'll receive the PDF when it's ready!`
     });
 
   } catch (error) {
@@ -255,10 +306,10 @@ app.event('app_mention', async ({ event, say }) => {
     logger.info('App mention received', { userId: user, channelId: channel, text });
 
     // Check if the mention contains a DocSend URL
-    const docsendUrlMatch = text.match(/https?:\/\/docsend\.com\/view\/[a-zA-Z0-9]+(\/[a-zA-Z0-9\/]+)?(\?[^\s]*)?/);
+    const docsendUrl = URLValidator.findDocSendURL(text);
     
-    if (docsendUrlMatch) {
-      const docsendUrl = docsendUrlMatch[0];
+    if (docsendUrl) {
+      const isSpace = URLValidator.isSpaceURL(docsendUrl);
       
       // Parse optional page parameter from the mention text
       let pageNumbers = null; // null means capture all pages
@@ -280,9 +331,19 @@ app.event('app_mention', async ({ event, say }) => {
         }
       }
       
+      // Parse key=value options (e.g. ocr=on) from the mention text
+      const { options } = parseCommandArgs(text.trim().split(/\s+/));
+      const ocr = parseToggle(options.ocr);
+      const passcode = options.passcode || null;
+      const pdfPassword = options.pdfpassword || null;
+      const output = ['pdf', 'zip'].includes(options.output) ? options.output : undefined;
+      const identity = options.as || null;
+      const captureProfile = options.capture || null;
+      
       logger.info('Parsed mention parameters', { 
         url: docsendUrl, 
         pageNumbers,
+        ocr,
         defaultMax: config.rateLimiting.maxPages
       });
 
@@ -312,7 +373,13 @@ app.event('app_mention', async ({ event, say }) => {
         url: docsendUrl,
         responseUrl: null, // No response URL for mentions
         threadTs: thread_ts,
-        pageNumbers: pageNumbers // Pass specific page numbers to job processor
+        pageNumbers: pageNumbers, // Pass specific page numbers to job processor
+        ocr,
+        passcode,
+        pdfPassword,
+        output,
+        identity,
+        captureProfile
       };
 
       // Mark job as started
@@ -320,7 +387,9 @@ app.event('app_mention', async ({ event, say }) => {
 
       // Send acknowledgment
       let pageInfo = 'All pages';
-      if (pageNumbers) {
+      if (isSpace) {
+        pageInfo = `Every document in the data room (${(output || config.space.output) === 'zip' ? 'ZIP of PDFs' : 'combined PDF'})`;
+      } else if (pageNumbers) {
         if (pageNumbers.length === 1) {
           pageInfo = `Page ${pageNumbers[0]}`;
         } else if (pageNumbers.length <= 5) {
@@ -331,7 +400,9 @@ app.event('app_mention', async ({ event, say }) => {
       }
       
       await say({
-        text: `🔄 Starting DocSend conversion...\n📄 **Pages:** ${pageInfo}\n⏱️ You'll receive the PDF when it's ready!`,
+        text: `🔄 Starting DocSend conversion...\n📄 **Pages:** ${pageInfo}\n${ocr ? '🔍 **OCR:** on\n' : ''}⏱️ You'll receive the PDF when it's ready!` +
+          (passcode ? '\n\n🔒 Tip: mentions are visible to the channel. Use `/docsend-bot <url> passcode=<code>` to keep passcodes private.' : '') +
+          (pdfPassword && pdfPassword !== 'auto' ? '\n\n🔐 Tip: mentions are visible to the channel. Use `pdfpassword=auto` or the slash command to keep the PDF password private.' : ''),
         thread_ts: thread_ts
       });
 
@@ -347,7 +418,7 @@ app.event('app_mention', async ({ event, say }) => {
     } else {
       // No DocSend URL found
       await say({
-        text: '👋 Hi! I can convert DocSend links to PDFs.\n\n**Usage:**\n• Mention me with a DocSend URL: `@docsend-bot https://docsend.com/view/abc123`\n• Use slash command: `/docsend-bot <url> [pages]`\n\n**Supported URL formats:**\n• `https://docsend.com/view/abc123`\n• `https://docsend.com/view/abc123/d/xyz789`\n\n**Page Options:**\n• All pages: `/docsend-bot <url>` or `/docsend-bot <url> all`\n• Specific pages: `/docsend-bot <url> 1,3,5`\n• Page range: `/docsend-bot <url> 1-5`\n• Mixed: `/docsend-bot <url> 1,3-5,7`',
+        text: '👋 Hi! I can convert DocSend links to PDFs.\n\n**Usage:**\n• Mention me with a DocSend URL: `@docsend-bot https://docsend.com/view/abc123`\n• Use slash command: `/docsend-bot <url> [pages]`\n\n**Supported URL formats:**\n• `https://docsend.com/view/abc123`\n• `https://docsend.com/view/abc123/d/xyz789`\n• `https://docsend.com/view/s/abc123` (data room, converts every document)\n\n**Page Options:**\n• All pages: `/docsend-bot <url>` or `/docsend-bot <url> all`\n• Specific pages: `/docsend-bot <url> 1,3,5`\n• Page range: `/docsend-bot <url> 1-5`\n• Mixed: `/docsend-bot <url> 1,3-5,7`\n\n**Options:**\n• OCR image-only slides: `ocr=on`\n• Passcode-protected link: `passcode=XXXX`\n• Password-protect the PDF: `pdfpassword=<password>` or `pdfpassword=auto` (the password is sent only to you)\n• Data room as one PDF per document: `output=zip`\n• View as another registered identity (if allowed): `as=<identity>`\n• Sharper capture: `capture=hidpi2x` (standard, hidpi2x, hidpi3x or mobile)',
         thread_ts: thread_ts
       });
     }
@@ -356,6 +427,80 @@ app.event('app_mention', async ({ event, say }) => {
   }
 });
 
+// Handle the "Retry missing pages" button posted with a partial result
+app.action(SlackService.RETRY_MISSING_PAGES_ACTION, async ({ ack, body, action, respond }) => {
+  try {
+    await ack();
+    
+    const userId = body.user.id;
+    const channelId = body.channel?.id;
+    
+    logger.info('Retry missing pages requested', { userId, channelId });
+
+    // The retry reuses the original request's passcode and PDF password, so only its requester may click it
+    const ownerId = jobProcessor.getRetryOwner(action.value);
+    if (ownerId && ownerId !== userId) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `🔒 Only <@${ownerId}> can retry these pages. Run \`/docsend-bot <url> <pages>\` to convert them yourself.`
+      });
+      return;
+    }
+
+    // Check permissions
+    if (!rateLimiter.hasPermission(userId, channelId)) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: '❌ You do not have permission to use this bot in this channel.'
+      });
+      return;
+    }
+
+    // Check rate limits before claiming the retry, so a rate-limited click can be repeated
+    const rateLimitCheck = await rateLimiter.canStartJob(userId);
+    if (!rateLimitCheck.allowed) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `⏳ ${rateLimitCheck.reason}${rateLimitCheck.retryAfter ? ` Please try again in ${Math.ceil(rateLimitCheck.retryAfter / 1000)} seconds.` : ''}`
+      });
+      return;
+    }
+
+    const retryData = jobProcessor.takeRetryRequest(action.value, userId);
+    if (!retryData) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: '⌛ This retry has expired or was already used. Run `/docsend-bot <url> <pages>` with the missing pages instead.'
+      });
+      return;
+    }
+
+    // Mark job as started
+    rateLimiter.startJob(`job-${userId}-${Date.now()}`, userId);
+
+    // Process job in background
+    jobProcessor.processJob(retryData).catch(error => {
+      logger.error('Background job processing failed for retry', {
+        userId,
+        channelId,
+        error: error.message
+      });
+    });
+
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `🔄 Retrying ${retryData.pageNumbers.length === 1 ? 'page' : 'pages'} ${retryData.pageNumbers.join(', ')}...\n⏱️ You'll receive the PDF when it's ready!`
+    });
+  } catch (error) {
+    logger.error('Retry action handling failed', { error: error.message });
+  }
+});
+
 // Note: Health check endpoint moved to separate Express server
 
 // Error handling
@@ -374,6 +519,10 @@ process.on('SIGTERM', async () => {
     logger.error('Error stopping Slack app', { error: error.message });
   }
   
+  await jobProcessor.shutdown().catch(error => {
+    logger.error('Error shutting down browser pool', { error: error.message });
+  });
+  
   process.exit(0);
 });
 
@@ -387,6 +536,10 @@ process.on('SIGINT', async () => {
     logger.error('Error stopping Slack app', { error: error.message });
   }
   
+  await jobProcessor.shutdown().catch(error => {
+    logger.error('Error shutting down browser pool', { error: error.message });
+  });
+  
   process.exit(0);
 });
 
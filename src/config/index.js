@@ -1,9 +1,16 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const os = require('os');
 
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
+// Read a numeric option where 0 is meaningful, using the fallback only when unset or not a number
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+}
+
 const config = {
   slack: {
     botToken: process.env.SLACK_BOT_TOKEN,
@@ -18,6 +25,12 @@ const config = {
       JSON.parse(process.env.EMAIL_INBOX_CREDENTIALS) : null,
   },
   
+  identities: {
+    registryPath: process.env.VIEWER_IDENTITIES_PATH || null,
+    overrideUsers: process.env.VIEWER_IDENTITY_OVERRIDE_USERS ?
+      process.env.VIEWER_IDENTITY_OVERRIDE_USERS.split(',') : [],
+  },
+  
   aws: {
     region: process.env.AWS_REGION || 'us-east-1',
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
@@ -35,12 +48,85 @@ const config = {
     userCooldownSeconds: parseInt(process.env.USER_COOLDOWN_SECONDS) || 60,
     maxPages: parseInt(process.env.MAX_PAGES) || 300,
     timeoutSeconds: parseInt(process.env.TIMEOUT_SECONDS) || 600,
+    partialTimeoutSeconds: parseInt(process.env.PARTIAL_PDF_TIMEOUT_SECONDS) || 120,
+  },
+  
+  browserPool: {
+    size: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+    maxContextsPerBrowser: parseInt(process.env.BROWSER_MAX_CONTEXTS) || 2,
+    maxMemoryMb: parseInt(process.env.BROWSER_MAX_MEMORY_MB) || 1536,
+    maxJobsPerBrowser: parseInt(process.env.BROWSER_MAX_JOBS) || 50,
+    acquireTimeoutMs: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS) || 120000,
+    healthCheckIntervalMs: parseInt(process.env.BROWSER_HEALTH_CHECK_INTERVAL_MS) || 30000,
+    leaseTimeoutMs: parseInt(process.env.BROWSER_LEASE_TIMEOUT_MS) || 1800000,
+    warmOnStart: process.env.BROWSER_POOL_WARM_ON_START !== 'false',
+  },
+  
+  sessions: {
+    enabled: process.env.SESSION_PERSISTENCE !== 'false',
+    directory: process.env.SESSION_STORE_DIR || path.join(os.tmpdir(), 'docsend-bot-sessions'),
+    ttlHours: parseNumber(process.env.SESSION_TTL_HOURS, 24),
+  },
+  
+  selectors: {
+    profilesPath: process.env.SELECTOR_PROFILES_PATH || null,
+    profile: process.env.SELECTOR_PROFILE || null,
+  },
+  
+  capture: {
+    mode: process.env.CAPTURE_MODE || 'network',
+    minImageBytes: parseInt(process.env.CAPTURE_MIN_IMAGE_BYTES) || 10240,
+    transitionTimeoutMs: parseInt(process.env.CAPTURE_TRANSITION_TIMEOUT_MS) || 10000,
+    transitionPollMs: parseInt(process.env.CAPTURE_TRANSITION_POLL_MS) || 250,
+    pageRetries: parseNumber(process.env.CAPTURE_PAGE_RETRIES, 2),
+    profile: process.env.CAPTURE_PROFILE || 'standard',
+    // CAPTURE_PROFILE_CHANNELS=C0123:hidpi2x,C0456:mobile
+    channelProfiles: Object.fromEntries((process.env.CAPTURE_PROFILE_CHANNELS || '')
+      .split(',')
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([channelId, profile]) => channelId && profile)),
+  },
+  
+  space: {
+    output: process.env.SPACE_OUTPUT || 'pdf',
+    maxDocuments: parseInt(process.env.SPACE_MAX_DOCUMENTS) || 50,
   },
   
   pdf: {
+    // fit = each page takes the size and orientation of its own slide, paper = fixed landscape PDF_PAGE_SIZE pages
+    pageMode: process.env.PDF_PAGE_MODE || 'paper',
     pageSize: process.env.PDF_PAGE_SIZE || 'A4',
     dpi: parseInt(process.env.PDF_DPI) || 150,
     compressionQuality: parseInt(process.env.PDF_COMPRESSION_QUALITY) || 90,
+    textLayer: process.env.PDF_TEXT_LAYER !== 'false',
+    // Header/footer templates with {page}, {pages}, {url}, {capturedAt}, {requester}, {label} placeholders
+    stamp: {
+      header: process.env.PDF_HEADER_TEMPLATE || '',
+      footer: process.env.PDF_FOOTER_TEMPLATE || '',
+      label: process.env.PDF_CONFIDENTIALITY_LABEL || '',
+      cover: process.env.PDF_COVER_PAGE === 'true',
+      channelsPath: process.env.PDF_STAMP_CHANNELS_PATH || null,
+    },
+    encryption: {
+      // PDF_ENCRYPT_CHANNELS=C0123:LEGAL_PDF_PASSWORD,C0456:auto (env var holding the password, or auto to generate one)
+      channels: Object.fromEntries((process.env.PDF_ENCRYPT_CHANNELS || '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([channelId, source]) => channelId && source)),
+      ownerPassword: process.env.PDF_OWNER_PASSWORD || null,
+      // Permissions readers keep without the owner password (unset = all, empty = none)
+      permissions: process.env.PDF_PERMISSIONS !== undefined ?
+        process.env.PDF_PERMISSIONS.split(',').map(name => name.trim()).filter(Boolean) : null,
+    },
+    // Size budget in MB (0 = off); pages are compressed harder until the PDF fits
+    targetSizeMb: parseNumber(process.env.PDF_TARGET_SIZE_MB, 0),
+  },
+  
+  ocr: {
+    enabled: process.env.OCR_ENABLED === 'true',
+    startupTimeoutMs: parseInt(process.env.OCR_STARTUP_TIMEOUT_MS) || 30000,
+    pageTimeoutMs: parseInt(process.env.OCR_PAGE_TIMEOUT_MS) || 15000,
+    minConfidence: parseInt(process.env.OCR_MIN_CONFIDENCE) || 60,
   },
   
   email: {
@@ -63,6 +149,8 @@ const config = {
   
   debug: {
     saveScreenshots: process.env.SAVE_SCREENSHOTS === 'true',
+    diagnostics: process.env.DIAGNOSTICS_ENABLED === 'true',
+    diagnosticsChannel: process.env.DIAGNOSTICS_CHANNEL || null,
   },
 };
 
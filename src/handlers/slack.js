@@ -2,6 +2,7 @@ const { App } = require('@slack/bolt');
 const { config } = require('../config');
 const { logger } = require('../utils/logger');
 const RateLimiter = require('../utils/rateLimiter');
+const URLValidator = require('../utils/urlValidator');
 const JobProcessor = require('../services/jobProcessor');
 
 // Initialize the Slack app for Lambda
@@ -60,11 +61,10 @@ app.command('/docsend-bot', async ({ command, ack, respond }) => {
     const docsendUrl = text.trim();
     
     // Validate URL format
-    const docsendPattern = /^https?:\/\/docsend\.com\/view\/[a-zA-Z0-9]+(\/[a-zA-Z0-9\/]+)?(\?[^\s]*)?$/;
-    if (!docsendPattern.test(docsendUrl)) {
+    if (!URLValidator.isSupportedURL(docsendUrl)) {
       await respond({
         response_type: 'ephemeral',
-        text: '❌ Invalid DocSend URL. Please provide a valid URL in the format: `https://docsend.com/view/...`\n\nSupported formats:\n• `https://docsend.com/view/abc123`\n• `https://docsend.com/view/abc123/d/xyz789`'
+        text: '❌ Invalid DocSend URL. Please provide a valid URL in the format: `https://docsend.com/view/...`\n\nSupported formats:\n• `https://docsend.com/view/abc123`\n• `https://docsend.com/view/abc123/d/xyz789`\n• `https://docsend.com/view/s/abc123` (data room)'
       });
       return;
     }
@@ -120,10 +120,9 @@ app.event('app_mention', async ({ event, say }) => {
     
     logger.info('App mention received', { userId: user, channelId: channel, text });
 
-    const docsendUrlMatch = text.match(/https?:\/\/docsend\.com\/view\/[a-zA-Z0-9]+(\?[^\s]*)?/);
+    const docsendUrl = URLValidator.findDocSendURL(text);
     
-    if (docsendUrlMatch) {
-      const docsendUrl = docsendUrlMatch[0];
+    if (docsendUrl) {
       
       if (!rateLimiter.hasPermission(user, channel)) {
         await say({
@@ -0,0 +1,513 @@
+const fs = require('fs');
+const { chromium } = require('playwright');
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { BrowserUnavailableError } = require('../utils/errors');
+
+// Chromium flags shared by every pooled browser. Browsers keep Chromium's normal process model
+// (no --single-process / --no-zygote), so a renderer crash only takes down the job in that context.
+const BROWSER_ARGS = [
+  '--disable-dev-shm-usage',
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-web-security',
+  '--disable-features=VizDisplayCompositor,TranslateUI,BlinkGenPropertyTrees',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--disable-ipc-flooding-protection',
+  '--disable-gpu',
+  '--disable-software-rasterizer',
+  '--disable-background-networking',
+  '--disable-default-apps',
+  '--disable-extensions',
+  '--disable-sync',
+  '--disable-translate',
+  '--hide-scrollbars',
+  '--mute-audio',
+  '--no-first-run',
+  '--safebrowsing-disable-auto-update',
+  '--disable-client-side-phishing-detection',
+  '--disable-hang-monitor',
+  '--disable-prompt-on-repost',
+  '--disable-domain-reliability',
+  '--disable-component-extensions-with-background-pages',
+  '--memory-pressure-off',
+  '--max_old_space_size=4096'
+];
+
+// Flags kept for the last-resort launch when the full set fails
+const MINIMAL_BROWSER_ARGS = ['--no-sandbox', '--disable-dev-shm-usage'];
+
+// Keeps a small set of warm Chromium browsers and hands each job its own isolated context.
+// Browsers are recycled when they crash, exceed their memory limit or have served enough jobs,
+// and contexts held longer than the lease timeout are reclaimed as leaked.
+class BrowserPool {
+  constructor(options = {}) {
+    const poolConfig = { ...config.browserPool, ...options };
+    this.size = poolConfig.size;
+    this.maxContextsPerBrowser = poolConfig.maxContextsPerBrowser;
+    this.maxMemoryMb = poolConfig.maxMemoryMb;
+    this.maxJobsPerBrowser = poolConfig.maxJobsPerBrowser;
+    this.acquireTimeoutMs = poolConfig.acquireTimeoutMs;
+    this.healthCheckIntervalMs = poolConfig.healthCheckIntervalMs;
+    this.leaseTimeoutMs = poolConfig.leaseTimeoutMs;
+
+    this.entries = [];
+    this.launching = 0;
+    this.waiters = [];
+    this.healthTimer = null;
+    this.closed = false;
+  }
+
+  // Launch browsers up to the pool size ahead of the first job
+  async warmUp() {
+    this.startHealthChecks();
+    const missing = this.size - this.getLiveEntries().length - this.launching;
+    const launches = [];
+    for (let i = 0; i < missing; i++) {
+      launches.push(this.launchEntry().catch(error => {
+        logger.warn('Failed to warm up browser', { error: error.message });
+      }));
+    }
+    await Promise.all(launches);
+    logger.info('Browser pool warmed up', this.getStatus());
+  }
+
+  // Get an isolated context and page on a pooled browser.
+  // memoryScale raises the browser's memory limit while the lease is held (high-DPI capture profiles).
+  // Returns a lease: { id, browser, context, page }; hand it back with release().
+  async acquire(contextOptions = {}, { memoryScale = 1 } = {}) {
+    const entry = await this.reserveSlot();
+
+    try {
+      const context = await entry.browser.newContext(contextOptions);
+      const page = await context.newPage();
+      const lease = {
+        id: uuidv4(),
+        entry,
+        browser: entry.browser,
+        context,
+        page,
+        memoryScale,
+        acquiredAt: Date.now(),
+        released: false
+      };
+      entry.leases.add(lease);
+
+      logger.info('Browser context acquired', {
+        leaseId: lease.id,
+        browserId: entry.id,
+        activeContexts: entry.active
+      });
+      return lease;
+    } catch (error) {
+      entry.active--;
+      logger.error('Failed to create browser context', { browserId: entry.id, error: error.message });
+      if (!entry.browser.isConnected()) {
+        await this.closeEntry(entry, 'crashed');
+      }
+      this.notifyWaiters();
+      throw error;
+    }
+  }
+
+  // Close a lease's context and return its slot to the pool
+  async release(lease) {
+    if (!lease || lease.released) {
+      return;
+    }
+    lease.released = true;
+
+    const entry = lease.entry;
+    entry.leases.delete(lease);
+    entry.active--;
+    entry.jobsServed++;
+
+    try {
+      await lease.context.close();
+    } catch (error) {
+      logger.warn('Failed to close browser context', { leaseId: lease.id, error: error.message });
+    }
+
+    if (entry.jobsServed >= this.maxJobsPerBrowser) {
+      this.retireEntry(entry, 'max jobs served');
+    } else if (this.isOverMemoryLimit(entry)) {
+      this.retireEntry(entry, 'memory limit exceeded');
+    }
+
+    if (entry.retiring && entry.active === 0) {
+      await this.closeEntry(entry, 'retired');
+    }
+
+    logger.info('Browser context released', {
+      leaseId: lease.id,
+      browserId: entry.id,
+      durationMs: Date.now() - lease.acquiredAt
+    });
+    this.notifyWaiters();
+  }
+
+  // Wait for a browser with spare context capacity, launching one if the pool has room
+  async reserveSlot() {
+    if (this.closed) {
+      throw new BrowserUnavailableError('Browser pool is shut down');
+    }
+    this.startHealthChecks();
+
+    const deadline = Date.now() + this.acquireTimeoutMs;
+
+    while (true) {
+      let entry = this.getLiveEntries()
+        .filter(candidate => candidate.active < this.maxContextsPerBrowser)
+        .sort((a, b) => a.active - b.active)[0];
+
+      if (!entry && this.getLiveEntries().length + this.launching < this.size) {
+        entry = await this.launchEntry();
+      }
+
+      if (entry && entry.browser.isConnected() && !entry.retiring && entry.active < this.maxContextsPerBrowser) {
+        entry.active++;
+        return entry;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new BrowserUnavailableError('No browser available: all pooled browsers are busy');
+      }
+      await this.waitForCapacity(remaining);
+    }
+  }
+
+  // Resolve when a slot may have freed up, or after the timeout
+  waitForCapacity(timeoutMs) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(waiter => waiter !== done);
+        resolve();
+      }, timeoutMs);
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      this.waiters.push(done);
+    });
+  }
+
+  // Wake up everyone waiting for capacity so they re-check the pool
+  notifyWaiters() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  // Browsers that can take new contexts
+  getLiveEntries() {
+    return this.entries.filter(entry => !entry.retiring);
+  }
+
+  // Launch a browser server and connect to it (the server exposes the process for memory checks)
+  async launchEntry() {
+    this.launching++;
+    try {
+      const server = await this.launchServerWithRetries();
+      const browser = await chromium.connect(server.wsEndpoint());
+      const entry = {
+        id: uuidv4().substring(0, 8),
+        server,
+        browser,
+        leases: new Set(),
+        active: 0,
+        jobsServed: 0,
+        retiring: false,
+        launchedAt: Date.now()
+      };
+
+      browser.on('disconnected', () => {
+        if (this.entries.includes(entry)) {
+          logger.warn('Pooled browser disconnected', { browserId: entry.id });
+          this.closeEntry(entry, 'disconnected');
+        }
+      });
+
+      this.entries.push(entry);
+      logger.info('Pooled browser launched', { browserId: entry.id, poolSize: this.entries.length });
+      return entry;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  // Get launch options, preferring system Chromium in production
+  getLaunchOptions() {
+    const launchOptions = {
+      headless: true,
+      timeout: 60000, // 60 seconds timeout for browser launch
+      args: BROWSER_ARGS
+    };
+
+    // Force system Chromium in production
+    if (process.env.NODE_ENV === 'production') {
+      // Try multiple possible paths for system Chromium
+      const possiblePaths = [
+        process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH,
+        '/usr/bin/chromium-browser',
+        '/usr/bin/chromium',
+        '/usr/bin/google-chrome',
+        '/usr/bin/google-chrome-stable'
+      ].filter(Boolean);
+
+      const chromiumPath = possiblePaths.find(path => {
+        try {
+          return fs.existsSync(path);
+        } catch (e) {
+          return false;
+        }
+      });
+
+      if (chromiumPath) {
+        launchOptions.executablePath = chromiumPath;
+        logger.info('Using system Chromium for production', { path: chromiumPath });
+      } else {
+        logger.warn('No system Chromium found, will try to use Playwright bundled browser');
+      }
+    }
+
+    if (config.proxy.url) {
+      launchOptions.proxy = { server: config.proxy.url };
+    }
+
+    return launchOptions;
+  }
+
+  // Launch a browser server with retry logic and fallbacks
+  async launchServerWithRetries() {
+    const launchOptions = this.getLaunchOptions();
+    let retryCount = 0;
+    const maxRetries = 3;
+
+    while (true) {
+      try {
+        logger.info(`Attempting browser launch (attempt ${retryCount + 1}/${maxRetries})`);
+        const server = await chromium.launchServer(launchOptions);
+        logger.info('Browser launched successfully');
+        return server;
+      } catch (error) {
+        retryCount++;
+        logger.warn(`Browser launch attempt ${retryCount} failed`, {
+          error: error.message,
+          retryCount,
+          maxRetries
+        });
+
+        if (retryCount < maxRetries) {
+          // Wait before retry
+          await new Promise(resolve => setTimeout(resolve, 2000 * retryCount));
+          continue;
+        }
+
+        // If launch fails and we're in production, try to install browsers
+        if (process.env.NODE_ENV === 'production' && error.message.includes('ENOENT')) {
+          logger.warn('Browser launch failed, attempting to install Playwright browsers...');
+          try {
+            const { execSync } = require('child_process');
+            execSync('npx playwright install chromium', { stdio: 'inherit' });
+            logger.info('Playwright browsers installed successfully, retrying launch...');
+            return await chromium.launchServer(launchOptions);
+          } catch (installError) {
+            logger.error('Failed to install Playwright browsers', { error: installError.message });
+            throw new BrowserUnavailableError('Browser initialization failed and browser installation failed. Please ensure Chromium is available.');
+          }
+        }
+
+        // Try one more time with minimal options if all retries failed
+        logger.warn('All retries failed, trying with minimal browser options...');
+        try {
+          const server = await chromium.launchServer({
+            ...launchOptions,
+            timeout: 30000,
+            args: MINIMAL_BROWSER_ARGS
+          });
+          logger.info('Browser launched successfully with minimal options');
+          return server;
+        } catch (minimalError) {
+          throw new BrowserUnavailableError(`Browser launch failed after ${maxRetries} attempts and minimal fallback: ${error.message}. Minimal fallback error: ${minimalError.message}`);
+        }
+      }
+    }
+  }
+
+  // Stop handing out contexts on a browser; it closes once its last context is released
+  retireEntry(entry, reason) {
+    if (!entry.retiring) {
+      entry.retiring = true;
+      logger.info('Retiring pooled browser', { browserId: entry.id, reason, jobsServed: entry.jobsServed });
+    }
+  }
+
+  // Remove a browser from the pool and shut it down
+  async closeEntry(entry, reason) {
+    const index = this.entries.indexOf(entry);
+    if (index === -1) {
+      return;
+    }
+    this.entries.splice(index, 1);
+
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      // Already gone
+    }
+    try {
+      await entry.server.close();
+    } catch (error) {
+      logger.warn('Failed to close browser server', { browserId: entry.id, error: error.message });
+    }
+
+    logger.info('Pooled browser closed', { browserId: entry.id, reason, poolSize: this.entries.length });
+    this.notifyWaiters();
+  }
+
+  // Resident memory of a browser in MB: its main process plus the renderer, GPU and utility processes
+  // under it (Linux only, null elsewhere). Pages shared between the processes are counted in each.
+  getMemoryUsageMb(entry) {
+    const pid = entry.server.process()?.pid;
+    if (!pid) {
+      return null;
+    }
+
+    const rootKb = this.readResidentKb(pid);
+    if (rootKb === null) {
+      return null;
+    }
+
+    let totalKb = rootKb;
+    const pending = this.getChildProcessIds(pid);
+    while (pending.length > 0) {
+      const child = pending.pop();
+      // Processes that exited in the meantime count as nothing
+      totalKb += this.readResidentKb(child) || 0;
+      pending.push(...this.getChildProcessIds(child));
+    }
+    return Math.round(totalKb / 1024);
+  }
+
+  // VmRSS of one process in kB, null when it can't be read
+  readResidentKb(pid) {
+    try {
+      const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+      const match = status.match(/VmRSS:\s+(\d+)\s+kB/);
+      return match ? parseInt(match[1]) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Child process IDs of a process, from each of its threads
+  getChildProcessIds(pid) {
+    try {
+      return fs.readdirSync(`/proc/${pid}/task`).flatMap(task => {
+        try {
+          return fs.readFileSync(`/proc/${pid}/task/${task}/children`, 'utf8').split(/\s+/).filter(Boolean).map(Number);
+        } catch (error) {
+          // The thread has exited
+          return [];
+        }
+      });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Memory limit of a browser, scaled up by the most demanding capture profile it is serving
+  getMemoryLimitMb(entry) {
+    const scale = Math.max(1, ...[...entry.leases].map(lease => lease.memoryScale || 1));
+    return Math.round(this.maxMemoryMb * scale);
+  }
+
+  // Check a browser against the per-browser memory limit
+  isOverMemoryLimit(entry) {
+    const memoryMb = this.getMemoryUsageMb(entry);
+    const maxMemoryMb = this.getMemoryLimitMb(entry);
+    if (memoryMb !== null && memoryMb > maxMemoryMb) {
+      logger.warn('Pooled browser over memory limit', { browserId: entry.id, memoryMb, maxMemoryMb });
+      return true;
+    }
+    return false;
+  }
+
+  // Start the periodic health check (does not keep the process alive)
+  startHealthChecks() {
+    if (this.healthTimer || this.closed) {
+      return;
+    }
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => {
+        logger.error('Browser pool health check failed', { error: error.message });
+      });
+    }, this.healthCheckIntervalMs);
+    this.healthTimer.unref();
+  }
+
+  // Recycle crashed and oversized browsers and reclaim leaked contexts
+  async checkHealth() {
+    for (const entry of [...this.entries]) {
+      if (!entry.browser.isConnected()) {
+        await this.closeEntry(entry, 'crashed');
+        continue;
+      }
+
+      for (const lease of [...entry.leases]) {
+        if (Date.now() - lease.acquiredAt > this.leaseTimeoutMs) {
+          logger.warn('Reclaiming leaked browser context', {
+            leaseId: lease.id,
+            browserId: entry.id,
+            heldMs: Date.now() - lease.acquiredAt
+          });
+          await this.release(lease);
+        }
+      }
+
+      if (!entry.retiring && this.isOverMemoryLimit(entry)) {
+        this.retireEntry(entry, 'memory limit exceeded');
+      }
+      if (entry.retiring && entry.active === 0) {
+        await this.closeEntry(entry, 'retired');
+      }
+    }
+  }
+
+  // Get current pool status
+  getStatus() {
+    return {
+      browsers: this.entries.map(entry => ({
+        id: entry.id,
+        activeContexts: entry.active,
+        jobsServed: entry.jobsServed,
+        retiring: entry.retiring,
+        memoryMb: this.getMemoryUsageMb(entry),
+        memoryLimitMb: this.getMemoryLimitMb(entry)
+      })),
+      launching: this.launching,
+      waiting: this.waiters.length,
+      size: this.size,
+      maxContextsPerBrowser: this.maxContextsPerBrowser
+    };
+  }
+
+  // Close every browser and stop health checks
+  async shutdown() {
+    this.closed = true;
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+
+    await Promise.all([...this.entries].map(entry => this.closeEntry(entry, 'shutdown')));
+    this.notifyWaiters();
+    logger.info('Browser pool shut down');
+  }
+}
+
+module.exports = BrowserPool;
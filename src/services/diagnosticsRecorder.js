@@ -0,0 +1,147 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger, redactSecrets } = require('../utils/logger');
+const { createZipArchive, redactZipArchive } = require('../utils/archive');
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+const STOP_TIMEOUT_MS = 30000;
+// Data room jobs pass the gates once per document, so only the latest steps are kept
+const MAX_STEPS = 40;
+
+// Records a Playwright trace and a screenshot per authentication step for one job,
+// and bundles them into a redacted archive when the job fails
+class DiagnosticsRecorder {
+  constructor() {
+    this.context = null;
+    this.page = null;
+    this.steps = [];
+    this.secrets = new Set();
+    this.maskSelectors = [];
+    this.tracing = false;
+  }
+
+  // Start tracing a browser context; maskSelectors are blanked out in step screenshots
+  async start(context, page, maskSelectors = []) {
+    this.context = context;
+    this.page = page;
+    this.maskSelectors = maskSelectors;
+
+    try {
+      // Screencast frames are left out because they would show typed codes unmasked
+      await context.tracing.start({ snapshots: true, screenshots: false, sources: false });
+      this.tracing = true;
+      logger.info('Diagnostics trace started');
+    } catch (error) {
+      logger.warn('Failed to start diagnostics trace', { error: error.message });
+    }
+  }
+
+  // Add a value (link URL or ID, OTP) that must not appear in the archive
+  addSecret(secret) {
+    if (secret) {
+      this.secrets.add(String(secret));
+    }
+  }
+
+  // Add a DocSend link and the link / document IDs in its path as secrets
+  addLink(url) {
+    this.addSecret(url.split('?')[0]);
+    const match = url.match(/\/view\/(?:s\/)?([a-zA-Z0-9]+)(?:\/d\/([a-zA-Z0-9]+))?/);
+    if (match) {
+      this.addSecret(match[1]);
+      this.addSecret(match[2]);
+    }
+  }
+
+  // Screenshot the page for a named step, with sensitive inputs masked
+  async recordStep(name) {
+    if (!this.page) {
+      return;
+    }
+
+    try {
+      const mask = this.maskSelectors.map(selector => this.page.locator(selector));
+      const data = await this.page.screenshot({ type: 'png', mask });
+      if (this.steps.length >= MAX_STEPS) {
+        this.steps.shift();
+      }
+      this.steps.push({ name, at: new Date().toISOString(), url: this.redact(this.page.url()), data });
+    } catch (error) {
+      logger.warn('Failed to record diagnostics step', { step: name, error: error.message });
+    }
+  }
+
+  // Stop tracing and bundle the trace, step screenshots and a summary into a ZIP
+  async buildArchive(error, details = {}) {
+    await this.recordStep('failure');
+
+    const entries = [];
+    const trace = await this.stopTrace();
+    if (trace) {
+      entries.push({ path: 'trace.zip', data: await redactZipArchive(trace, text => this.redact(text)) });
+    }
+
+    this.steps.forEach((step, index) => {
+      const prefix = String(index + 1).padStart(2, '0');
+      entries.push({ path: `steps/${prefix}-${step.name}.png`, data: step.data });
+    });
+
+    const summary = {
+      error: error.message,
+      code: error.code || null,
+      stack: error.stack,
+      ...details,
+      steps: this.steps.map(step => ({ name: step.name, at: step.at, url: step.url })),
+      createdAt: new Date().toISOString()
+    };
+    entries.push({ path: 'summary.json', data: this.redact(JSON.stringify(summary, null, 2)) });
+
+    return createZipArchive(entries);
+  }
+
+  // Stop the trace and return its ZIP, or null if tracing never started or hangs
+  async stopTrace() {
+    if (!this.tracing) {
+      return null;
+    }
+    this.tracing = false;
+
+    const tracePath = path.join(os.tmpdir(), `docsend-trace-${uuidv4()}.zip`);
+    let timer = null;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Timed out stopping trace')), STOP_TIMEOUT_MS);
+      });
+      await Promise.race([this.context.tracing.stop({ path: tracePath }), timeout]);
+      return await fs.readFile(tracePath);
+    } catch (error) {
+      logger.warn('Failed to collect diagnostics trace', { error: error.message });
+      return null;
+    } finally {
+      clearTimeout(timer);
+      await fs.unlink(tracePath).catch(() => {});
+    }
+  }
+
+  // Remove job secrets, the DocSend link and email addresses from text
+  redact(text) {
+    let redacted = redactSecrets(text);
+    this.secrets.forEach(secret => {
+      redacted = redacted.split(secret).join('[REDACTED]');
+    });
+    return redacted.replace(EMAIL_PATTERN, '[EMAIL]');
+  }
+
+  // Discard the trace without building an archive
+  async discard() {
+    if (this.tracing) {
+      this.tracing = false;
+      await this.context.tracing.stop().catch(() => {});
+    }
+    this.steps = [];
+  }
+}
+
+module.exports = DiagnosticsRecorder;
@@ -1,172 +1,104 @@
-const { chromium } = require('playwright');
+const crypto = require('crypto');
 const { config } = require('../config');
-const { logger } = require('../utils/logger');
+const { logger, registerSecret, unregisterSecret } = require('../utils/logger');
 const EmailService = require('./emailService');
+const BrowserPool = require('./browserPool');
+const SessionStore = require('./sessionStore');
+const SelectorProfiles = require('../utils/selectorProfiles');
+const DiagnosticsRecorder = require('./diagnosticsRecorder');
+const { detectImageFormat, getImageExtension } = require('../utils/imageFormat');
+const { classifyPageState } = require('../utils/pageStateClassifier');
+const { getCaptureProfile } = require('../utils/captureProfiles');
+const { stitchScrollPages, getScrollPageHeight } = require('../utils/scrollStitcher');
+const { getMediaLink, getMediaType } = require('../utils/mediaEmbeds');
+const { findHeading } = require('../utils/pageHeadings');
+const {
+  ConversionError,
+  PasscodeRequiredError,
+  WrongPasscodeError,
+  AccessDeniedError,
+  LinkExpiredError,
+  OtpTimeoutError,
+  BotBlockedError,
+  ViewerLayoutUnknownError,
+  PageNavigationError,
+  PageOutOfRangeError,
+  CaptureFailedError,
+  JobAbortedError
+} = require('../utils/errors');
+
+// Marks the element a scroll-style viewer scrolls, so later evaluations can find it again
+const SCROLL_CONTAINER_ATTRIBUTE = 'data-docsend-bot-scroll';
 
 class DocSendService {
-  constructor() {
+  // Jobs share the processor's pool; without one the service runs its own single-browser pool
+  constructor(browserPool = null) {
     this.emailService = new EmailService();
+    this.browserPool = browserPool || new BrowserPool({ size: 1, maxContextsPerBrowser: 1 });
+    this.ownsPool = !browserPool;
+    this.lease = null;
+    this.sessionStore = new SessionStore();
+    this.identity = null;
+    this.viewerEmail = config.docsend.viewerEmail;
+    this.captureProfile = getCaptureProfile('standard');
+    this.sessionRestored = false;
+    this.sessionChanged = false;
+    this.selectorProfiles = new SelectorProfiles();
+    this.profile = this.selectorProfiles.getProfile(null);
+    this.currentPage = 1;
+    this.capturedPages = [];
+    this.failedPages = [];
+    this.outOfRangePages = [];
+    this.metadata = null;
+    this.authOptions = {};
+    this.responseStatus = null;
+    this.closed = false;
+    this.diagnostics = config.debug.diagnostics ? new DiagnosticsRecorder() : null;
+    this.otp = null;
     this.browser = null;
     this.context = null;
     this.page = null;
+    this.pageImageUrls = new Map();
+    this.mediaPosters = new Map();
+    this.imageResponses = new Map();
   }
 
-  // Initialize browser with stealth settings
-  async initializeBrowser() {
-    try {
-      const launchOptions = {
-        headless: true,
-        timeout: 60000, // 60 seconds timeout for browser launch
-        args: [
-          '--disable-dev-shm-usage',
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding',
-          '--disable-features=TranslateUI',
-          '--disable-ipc-flooding-protection',
-          '--disable-gpu',
-          '--disable-software-rasterizer',
-          '--disable-background-networking',
-          '--disable-default-apps',
-          '--disable-extensions',
-          '--disable-sync',
-          '--disable-translate',
-          '--hide-scrollbars',
-          '--mute-audio',
-          '--no-first-run',
-          '--safebrowsing-disable-auto-update',
-          '--disable-client-side-phishing-detection',
-          '--disable-hang-monitor',
-          '--disable-prompt-on-repost',
-          '--disable-domain-reliability',
-          '--disable-component-extensions-with-background-pages',
-          '--disable-background-timer-throttling',
-          '--disable-renderer-backgrounding',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-features=TranslateUI,BlinkGenPropertyTrees',
-          '--disable-ipc-flooding-protection',
-          '--single-process',
-          '--no-zygote',
-          '--disable-dev-shm-usage',
-          '--memory-pressure-off',
-          '--max_old_space_size=4096'
-        ]
-      };
-
-      // Force system Chromium in production
-      if (process.env.NODE_ENV === 'production') {
-        // Try multiple possible paths for system Chromium
-        const possiblePaths = [
-          process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH,
-          '/usr/bin/chromium-browser',
-          '/usr/bin/chromium',
-          '/usr/bin/google-chrome',
-          '/usr/bin/google-chrome-stable'
-        ].filter(Boolean);
-
-        let chromiumPath = null;
-        for (const path of possiblePaths) {
-          try {
-            const fs = require('fs');
-            if (fs.existsSync(path)) {
-              chromiumPath = path;
-              break;
-            }
-          } catch (e) {
-            // Continue to next path
-          }
-        }
-
-        if (chromiumPath) {
-          launchOptions.executablePath = chromiumPath;
-          logger.info('Using system Chromium for production', { path: chromiumPath });
-        } else {
-          logger.warn('No system Chromium found, will try to use Playwright bundled browser');
-        }
-      }
+  // Use a viewer identity from the registry for the gates, the OTP inbox and the saved session.
+  // Must be called before initializeBrowser; without it the global viewer email is used.
+  useIdentity(identity) {
+    this.identity = identity;
+    this.viewerEmail = identity.email;
+    this.emailService = new EmailService(identity);
+    logger.info('Using viewer identity', { identity: identity.name });
+  }
 
-      if (config.proxy.url) {
-        launchOptions.proxy = { server: config.proxy.url };
-      }
+  // Render with a capture profile's viewport and device scale factor. Must be called before initializeBrowser.
+  useCaptureProfile(profile) {
+    this.captureProfile = profile;
+    logger.info('Using capture profile', { profile: profile.name, deviceScaleFactor: profile.deviceScaleFactor });
+  }
 
-      // Try to launch browser with retry logic
-      let retryCount = 0;
-      const maxRetries = 3;
+  // Acquire an isolated browser context from the pool and apply stealth settings
+  async initializeBrowser() {
+    try {
+      // Reuse the viewer's saved cookies so DocSend can skip the email and OTP gates
+      const storageState = await this.sessionStore.load(this.viewerEmail);
+      this.sessionRestored = Boolean(storageState);
+      this.sessionChanged = false;
       
-      while (retryCount < maxRetries) {
-        try {
-          logger.info(`Attempting browser launch (attempt ${retryCount + 1}/${maxRetries})`);
-          this.browser = await chromium.launch(launchOptions);
-          logger.info('Browser launched successfully');
-          break;
-        } catch (error) {
-          retryCount++;
-          logger.warn(`Browser launch attempt ${retryCount} failed`, { 
-            error: error.message,
-            retryCount,
-            maxRetries
-          });
-          
-          if (retryCount >= maxRetries) {
-            // If launch fails and we're in production, try to install browsers
-            if (process.env.NODE_ENV === 'production' && error.message.includes('ENOENT')) {
-              logger.warn('Browser launch failed, attempting to install Playwright browsers...');
-              try {
-                const { execSync } = require('child_process');
-                execSync('npx playwright install chromium', { stdio: 'inherit' });
-                logger.info('Playwright browsers installed successfully, retrying launch...');
-                this.browser = await chromium.launch(launchOptions);
-                break;
-              } catch (installError) {
-                logger.error('Failed to install Playwright browsers', { error: installError.message });
-                throw new Error('Browser initialization failed and browser installation failed. Please ensure Chromium is available.');
-              }
-            } else {
-              // Try one more time with minimal options if all retries failed
-              logger.warn('All retries failed, trying with minimal browser options...');
-              try {
-                const minimalOptions = {
-                  headless: true,
-                  timeout: 30000,
-                  args: ['--no-sandbox', '--disable-dev-shm-usage', '--single-process']
-                };
-                this.browser = await chromium.launch(minimalOptions);
-                logger.info('Browser launched successfully with minimal options');
-              } catch (minimalError) {
-                throw new Error(`Browser launch failed after ${maxRetries} attempts and minimal fallback: ${error.message}. Minimal fallback error: ${minimalError.message}`);
-              }
-            }
-          } else {
-            // Wait before retry
-            await new Promise(resolve => setTimeout(resolve, 2000 * retryCount));
-          }
-        }
+      this.lease = await this.browserPool.acquire(
+        { ...this.getContextOptions(), ...(storageState && { storageState }) },
+        { memoryScale: this.captureProfile.memoryScale }
+      );
+      if (this.closed) {
+        // The job was cleaned up (e.g. timed out) while waiting for a browser
+        await this.browserPool.release(this.lease);
+        this.lease = null;
+        throw new JobAbortedError();
       }
-      
-      this.context = await this.browser.newContext({
-        viewport: { width: 1920, height: 1080 },
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        locale: 'en-US',
-        timezoneId: 'America/New_York',
-        permissions: ['geolocation'],
-        geolocation: { latitude: 40.7128, longitude: -74.0060 },
-        // Set timeouts for context operations
-        timeout: 30000, // 30 seconds for page operations
-        extraHTTPHeaders: {
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'DNT': '1',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-        }
-      });
-
-      this.page = await this.context.newPage();
+      this.browser = this.lease.browser;
+      this.context = this.lease.context;
+      this.page = this.lease.page;
       
       // Set stealth properties
       await this.page.addInitScript(() => {
@@ -176,7 +108,16 @@ class DocSendService {
         window.chrome = { runtime: {} };
       });
 
-      logger.info('Browser initialized successfully');
+      if (config.capture.mode === 'network') {
+        this.startNetworkCapture();
+      }
+
+      if (this.diagnostics) {
+        const { emailInput, passcodeInput, otpInput } = this.profile.selectors;
+        await this.diagnostics.start(this.context, this.page, [...emailInput, ...passcodeInput, ...otpInput]);
+      }
+
+      logger.info('Browser initialized successfully', { leaseId: this.lease.id, sessionRestored: this.sessionRestored });
       return true;
     } catch (error) {
       logger.error('Failed to initialize browser', { error: error.message });
@@ -184,10 +125,41 @@ class DocSendService {
     }
   }
 
+  // Browser context options for a DocSend session, sized by the capture profile
+  getContextOptions() {
+    const profile = this.captureProfile;
+    return {
+      viewport: { ...profile.viewport },
+      deviceScaleFactor: profile.deviceScaleFactor,
+      isMobile: profile.isMobile,
+      hasTouch: profile.hasTouch,
+      userAgent: profile.userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      locale: 'en-US',
+      timezoneId: 'America/New_York',
+      permissions: ['geolocation'],
+      geolocation: { latitude: 40.7128, longitude: -74.0060 },
+      extraHTTPHeaders: {
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'DNT': '1',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+      }
+    };
+  }
+
   // Navigate to DocSend URL and handle authentication
-  async navigateToDocSend(url) {
+  // Options: passcode - typed into the passcode gate when the link has one
+  //          space - the URL is a space / data room index rather than a document viewer
+  async navigateToDocSend(url, options = {}) {
     try {
-      logger.info('Navigating to DocSend URL', { url: this.redactUrl(url) });
+      logger.info('Navigating to DocSend URL', { url: this.redactUrl(url), space: Boolean(options.space) });
+      this.diagnostics?.addLink(url);
+      
+      // Slide images are keyed by page number, so forget the previous document's
+      this.pageImageUrls.clear();
+      this.imageResponses.clear();
       
       // Set page timeout for navigation
       this.page.setDefaultTimeout(30000); // 30 seconds
@@ -201,20 +173,41 @@ class DocSendService {
         this.page.setDefaultNavigationTimeout(60000);
       }
       
-      await this.page.goto(url, { 
+      const response = await this.page.goto(url, { 
         waitUntil: 'domcontentloaded', 
         timeout: isProblematicUrl ? 60000 : 30000 
       });
+      this.responseStatus = response ? response.status() : null;
       
       // Wait for page to load and give it a moment to stabilize
       await this.page.waitForLoadState('domcontentloaded');
       await this.page.waitForTimeout(2000);
       
-      // Check for various authentication gates
-      await this.handleAuthentication();
+      // Expired, disabled or restricted links never show a gate or viewer
+      await this.checkPageState('navigation');
       
-      // Wait for viewer to be ready
-      await this.waitForViewerReady();
+      // Pick the selector profile for the gate layout
+      await this.detectSelectorProfile();
+      
+      // Check for various authentication gates (kept for re-authenticating after a viewer reload)
+      this.authOptions = { passcode: options.passcode || null };
+      await this.handleAuthentication(this.authOptions);
+      
+      // Wait for viewer (or the space's document list) to be ready
+      if (options.space) {
+        await this.waitForSpaceReady();
+      } else {
+        await this.waitForViewerReady();
+        // The viewer behind the gates may use a different layout
+        await this.detectSelectorProfile();
+        // A restored session can reopen the deck where it was left
+        this.currentPage = (await this.readCurrentPage()) || 1;
+        this.metadata = await this.extractMetadata(url);
+      }
+      
+      if (this.sessionChanged) {
+        await this.saveSession();
+      }
       
       logger.info('Successfully navigated to DocSend');
       return true;
@@ -225,36 +218,27 @@ class DocSendService {
   }
 
   // Handle different types of authentication gates
-  async handleAuthentication() {
+  async handleAuthentication({ passcode = null } = {}) {
     try {
-      // Check for email gate - try multiple selectors for different DocSend layouts
-      // Prioritize the authentication form selectors first
-      const emailSelectors = [
-        'input[name="link_auth_form[email]"]',
-        'input[id="link_auth_form_email"]',
-        'input.js-auth-form_email-field',
-        'input.js-viewer-email_input',
-        'form.js-email-sniffing-auth-form input[type="email"]',
-        'input[type="email"]'
-      ];
+      let passcodeSubmitted = false;
+      await this.diagnostics?.recordStep('auth-start');
+      
+      // Check for email gate - the active profile lists the email selectors for this layout,
+      // authentication form selectors first
+      const emailFormSelector = this.selector('emailForm');
       
       let emailInput = null;
       let foundSelector = null;
-      for (const selector of emailSelectors) {
+      for (const selector of this.profile.selectors.emailInput) {
         try {
-          // Try to find the email input within the authentication form context
-          if (selector.includes('form.js-email-sniffing-auth-form')) {
-            emailInput = await this.page.$('form.js-email-sniffing-auth-form input[type="email"]');
-          } else {
-            emailInput = await this.page.$(selector);
-          }
+          emailInput = await this.page.$(selector);
           
           if (emailInput) {
             // Verify this is actually the auth form email field
-            const isInAuthForm = await emailInput.evaluate(el => {
+            const isInAuthForm = await emailInput.evaluate((el, formSelector) => {
               const form = el.closest('form');
-              return form && form.classList.contains('js-email-sniffing-auth-form');
-            });
+              return Boolean(form && form.matches(formSelector));
+            }, emailFormSelector);
             
             if (isInAuthForm) {
               foundSelector = selector;
@@ -272,28 +256,29 @@ class DocSendService {
       
       if (emailInput) {
         logger.info('Email gate detected, entering viewer email');
+        await this.diagnostics?.recordStep('email-gate');
+        await this.discardRejectedSession('email gate shown');
+        this.sessionChanged = true;
         
         // Wait for the input to be visible and ready
         await this.page.waitForSelector(foundSelector, { state: 'visible', timeout: 10000 });
         
         // Clear any existing text and fill the email
         await emailInput.fill('');
-        await emailInput.fill(config.docsend.viewerEmail);
+        await emailInput.fill(this.viewerEmail);
         
-        // Look for submit button with multiple selectors
-        const submitSelectors = [
-          'button[type="submit"]',
-          'input[type="submit"]',
-          'button:has-text("Continue")',
-          'button:has-text("Submit")',
-          'button.dig-Button--primary',
-          'button[data-dig-button="true"]',
-          '.js-auth-form_submit-button button'
-        ];
+        // Passcode links ask for the passcode on the same form as the email
+        const passcodeInput = await this.findPasscodeInput();
+        if (passcodeInput && passcode) {
+          logger.info('Passcode field found on email form, entering passcode');
+          await passcodeInput.fill(passcode);
+          passcodeSubmitted = true;
+        }
         
+        // Look for submit button with the profile's selectors
         let submitButton = null;
         let foundSubmitSelector = null;
-        for (const submitSelector of submitSelectors) {
+        for (const submitSelector of this.profile.selectors.submitButton) {
           try {
             submitButton = await this.page.$(submitSelector);
             if (submitButton) {
@@ -311,14 +296,14 @@ class DocSendService {
           // Try to submit the form directly using JavaScript, which is more reliable
           try {
             logger.info('Attempting JavaScript form submission...');
-            const formSubmitted = await this.page.evaluate(() => {
-              const form = document.querySelector('form.js-email-sniffing-auth-form');
+            const formSubmitted = await this.page.evaluate((formSelector) => {
+              const form = document.querySelector(formSelector);
               if (form) {
                 form.submit();
                 return true;
               }
               return false;
-            });
+            }, emailFormSelector);
             
             logger.info('JavaScript evaluation result:', { formSubmitted });
             
@@ -345,36 +330,51 @@ class DocSendService {
         } else {
           logger.warn('Submit button not found, trying to submit form directly');
           // Try to submit the form directly
-          await this.page.evaluate(() => {
-            const form = document.querySelector('form.js-email-sniffing-auth-form');
+          await this.page.evaluate((formSelector) => {
+            const form = document.querySelector(formSelector);
             if (form) form.submit();
-          });
+          }, emailFormSelector);
           await this.page.waitForLoadState('networkidle');
         }
+        await this.diagnostics?.recordStep('email-submitted');
+        await this.checkPageState('email');
       }
 
+      // Check for passcode gate (before OTP, whose selectors also match passcode inputs)
+      await this.handlePasscodeGate(passcode, passcodeSubmitted);
+
       // Check for OTP gate
-      const otpInput = await this.page.$('input[type="text"][maxlength="6"], input[type="text"][maxlength="4"], input[name*="code"], input[name*="otp"]');
+      const otpInput = await this.page.$(this.selector('otpInput'));
       if (otpInput) {
         logger.info('OTP gate detected, retrieving code from email');
+        await this.diagnostics?.recordStep('otp-gate');
+        await this.discardRejectedSession('OTP gate shown');
+        this.sessionChanged = true;
         const otp = await this.emailService.getOTP();
         if (otp) {
+          // Keep the code out of logs and diagnostics
+          unregisterSecret(this.otp);
+          this.otp = otp;
+          registerSecret(otp);
           await otpInput.fill(otp);
           
-          const submitButton = await this.page.$('button[type="submit"], input[type="submit"], button:has-text("Verify"), button:has-text("Submit")');
+          const submitButton = await this.page.$(this.selector('otpSubmitButton'));
           if (submitButton) {
             await submitButton.click();
             await this.page.waitForLoadState('networkidle');
           }
+          await this.diagnostics?.recordStep('otp-submitted');
+          await this.checkPageState('otp');
         } else {
-          throw new Error('Failed to retrieve OTP from email');
+          throw new OtpTimeoutError('Failed to retrieve OTP from email');
         }
       }
 
       // Check for terms/consent
-      const acceptButton = await this.page.$('button:has-text("Accept"), button:has-text("Agree"), button:has-text("Continue")');
+      const acceptButton = await this.page.$(this.selector('consentButton'));
       if (acceptButton) {
         logger.info('Terms/consent detected, accepting');
+        await this.diagnostics?.recordStep('consent');
         try {
           // Try JavaScript click first
           await this.page.evaluate(() => {
@@ -395,19 +395,108 @@ class DocSendService {
           await acceptButton.click();
           await this.page.waitForLoadState('domcontentloaded');
         }
+        await this.checkPageState('consent');
       }
 
+      await this.diagnostics?.recordStep('auth-complete');
+
     } catch (error) {
       logger.error('Authentication handling failed', { error: error.message });
       throw error;
     }
   }
 
+  // Save the context's cookies/localStorage for the viewer email once the gates are passed
+  async saveSession() {
+    try {
+      const storageState = await this.context.storageState();
+      if (await this.sessionStore.save(this.viewerEmail, storageState)) {
+        this.sessionRestored = true;
+      }
+      this.sessionChanged = false;
+    } catch (error) {
+      logger.warn('Failed to capture DocSend session', { error: error.message });
+    }
+  }
+
+  // A restored session that still hits a gate was rejected by DocSend, so stop reusing it
+  async discardRejectedSession(reason) {
+    if (!this.sessionRestored) {
+      return;
+    }
+    logger.info('Saved DocSend session was rejected, discarding it', { reason });
+    this.sessionRestored = false;
+    await this.sessionStore.remove(this.viewerEmail);
+  }
+
+  // Comma-joined selector list for a key of the active profile
+  selector(key) {
+    return this.profile.selectors[key].join(', ');
+  }
+
+  // Switch to the selector profile matching the loaded page
+  async detectSelectorProfile() {
+    const profile = await this.selectorProfiles.detectProfile(this.page);
+    if (profile.name !== this.profile.name || profile.version !== this.profile.version) {
+      logger.info('Selector profile selected', { profile: profile.name, version: profile.version });
+    }
+    this.profile = profile;
+    return profile;
+  }
+
+  // Find a visible passcode input on the current page
+  async findPasscodeInput() {
+    for (const selector of this.profile.selectors.passcodeInput) {
+      try {
+        const input = await this.page.$(selector);
+        if (input && await input.isVisible()) {
+          return input;
+        }
+      } catch (e) {
+        // Continue to next selector
+      }
+    }
+
+    return null;
+  }
+
+  // Handle the passcode gate, standalone or after it was submitted along with the email form
+  async handlePasscodeGate(passcode, alreadySubmitted = false) {
+    let passcodeInput = await this.findPasscodeInput();
+    if (!passcodeInput) {
+      return;
+    }
+
+    if (!passcode) {
+      throw new PasscodeRequiredError();
+    }
+
+    await this.diagnostics?.recordStep('passcode-gate');
+
+    if (!alreadySubmitted) {
+      logger.info('Passcode gate detected, entering passcode');
+      await passcodeInput.fill(passcode);
+      await passcodeInput.press('Enter');
+      await this.page.waitForLoadState('domcontentloaded');
+      await this.page.waitForTimeout(2000);
+      await this.checkPageState('passcode');
+      passcodeInput = await this.findPasscodeInput();
+    }
+
+    // DocSend re-renders the gate with an error when the passcode is rejected
+    if (passcodeInput) {
+      logger.warn('Passcode was rejected by DocSend');
+      throw new WrongPasscodeError();
+    }
+
+    logger.info('Passcode accepted');
+  }
+
   // Wait for the DocSend viewer to be ready
   async waitForViewerReady() {
     try {
       // Wait for viewer elements to appear
-      await this.page.waitForSelector('.viewer, .document-viewer, [data-testid="viewer"], .slides-container', { timeout: 30000 });
+      await this.page.waitForSelector(this.selector('viewerRoot'), { timeout: 30000 });
       
       // Wait for content to load with more lenient approach
       await this.page.waitForLoadState('domcontentloaded');
@@ -416,6 +505,139 @@ class DocSendService {
       logger.info('DocSend viewer is ready');
     } catch (error) {
       logger.error('Failed to wait for viewer ready', { error: error.message });
+      throw await this.classifyLoadFailure(error);
+    }
+  }
+
+  // Work out why the viewer (or space) never appeared: expired link, access denied, bot wall or a new layout
+  async classifyLoadFailure(error) {
+    if (error instanceof ConversionError) {
+      return error;
+    }
+
+    const pageState = await this.classifyPage();
+    if (pageState) {
+      return this.pageStateError(pageState, 'viewer');
+    }
+
+    const details = { status: this.responseStatus, profile: this.profile.name, ...this.getViewerDetails() };
+    if (this.responseStatus === 403) {
+      return new AccessDeniedError('DocSend denied access to this link', details);
+    }
+    return new ViewerLayoutUnknownError(`Viewer did not appear: ${error.message}`, details);
+  }
+
+  // Fail fast when DocSend shows an interstitial (expired, disabled, removed, restricted link or a bot check)
+  async checkPageState(stage) {
+    const pageState = await this.classifyPage();
+    if (pageState) {
+      logger.warn('DocSend page state detected', { stage, state: pageState.state, match: pageState.match });
+      throw this.pageStateError(pageState, stage);
+    }
+  }
+
+  // Classify the current page; null when it shows none of the known interstitials
+  async classifyPage() {
+    let content = {};
+    try {
+      content = await this.page.evaluate(() => ({
+        title: document.title,
+        text: document.body?.innerText || ''
+      }));
+    } catch (e) {
+      // Page is gone or mid-navigation, classify on the status alone
+    }
+    return classifyPageState({ ...content, status: this.responseStatus });
+  }
+
+  // Identity the gates were passed with, so a rejection names the identity the link refused
+  getViewerDetails() {
+    return {
+      identity: this.identity ? this.identity.name : null,
+      viewerEmail: this.viewerEmail
+    };
+  }
+
+  // Map a classified page state to the conversion error reported to the user
+  pageStateError({ state, reason, match }, stage) {
+    const details = { state, match, stage, status: this.responseStatus, profile: this.profile.name, ...this.getViewerDetails() };
+    if (state === 'bot_check') {
+      return new BotBlockedError(reason, details);
+    }
+    if (state === 'restricted_viewer' || state === 'restricted_domain') {
+      return new AccessDeniedError(reason, details);
+    }
+    return new LinkExpiredError(reason, details);
+  }
+
+  // Wait for a space / data room to list its documents
+  async waitForSpaceReady() {
+    try {
+      await this.page.waitForSelector(this.selector('spaceDocumentLink'), { timeout: 30000 });
+      await this.page.waitForLoadState('domcontentloaded');
+      await this.page.waitForTimeout(2000);
+      
+      logger.info('DocSend space is ready');
+    } catch (error) {
+      logger.error('Failed to wait for space ready', { error: error.message });
+      throw await this.classifyLoadFailure(error);
+    }
+  }
+
+  // List the documents in a space with the folders they sit in.
+  // Returns [{ name, url, folderPath: ['Folder', 'Subfolder'] }] in display order.
+  async listSpaceDocuments() {
+    try {
+      // Expand collapsed folders so every document link is in the DOM
+      for (let pass = 0; pass < 5; pass++) {
+        const collapsed = await this.page.$$('[aria-expanded="false"]');
+        if (collapsed.length === 0) break;
+        for (const toggle of collapsed) {
+          await toggle.click().catch(() => {});
+        }
+        await this.page.waitForTimeout(1000);
+      }
+
+      const documents = await this.page.evaluate((documentLinkSelector) => {
+        const folderName = (element) => {
+          const named = element.getAttribute('data-folder-name');
+          if (named) return named.trim();
+          const heading = element.querySelector(':scope > [class*="folder-name"], :scope > [class*="header"], :scope > h2, :scope > h3, :scope > h4');
+          return heading ? heading.textContent.trim() : null;
+        };
+
+        const seen = new Set();
+        const results = [];
+        document.querySelectorAll(documentLinkSelector).forEach(link => {
+          const url = link.href.split('?')[0];
+          if (seen.has(url)) return;
+          seen.add(url);
+
+          // Walk up to collect the names of enclosing folders, outermost first
+          const folderPath = [];
+          let element = link.parentElement;
+          while (element && element !== document.body) {
+            if (element.matches('[data-folder-name], [class*="folder"]:not([class*="folder-name"])')) {
+              const name = folderName(element);
+              if (name && !folderPath.includes(name)) folderPath.unshift(name);
+            }
+            element = element.parentElement;
+          }
+
+          const name = (link.getAttribute('title') || link.textContent || '').replace(/\s+/g, ' ').trim();
+          results.push({ name: name || `Document ${results.length + 1}`, url, folderPath });
+        });
+        return results;
+      }, this.selector('spaceDocumentLink'));
+
+      logger.info('Space documents listed', {
+        documents: documents.length,
+        folders: new Set(documents.map(doc => doc.folderPath.join('/'))).size
+      });
+
+      return documents;
+    } catch (error) {
+      logger.error('Failed to list space documents', { error: error.message });
       throw error;
     }
   }
@@ -423,16 +645,8 @@ class DocSendService {
   // Get total number of pages/slides
   async getPageCount() {
     try {
-      // Try multiple selectors for page count
-      const pageCountSelectors = [
-        '.page-counter span:last-child',
-        '.slide-counter span:last-child',
-        '[data-testid="page-counter"]',
-        '.pagination .total',
-        '.slides-nav .total'
-      ];
-
-      for (const selector of pageCountSelectors) {
+      // Try the profile's page counter selectors
+      for (const selector of this.profile.selectors.pageCounter) {
         try {
           const element = await this.page.$(selector);
           if (element) {
@@ -467,46 +681,25 @@ class DocSendService {
       let pageCount = 1;
       const maxAttempts = config.rateLimiting.maxPages;
       
-      // Navigate through slides to count them using DocSend-specific selectors
+      // Navigate through slides to count them, stopping when a click no longer changes the slide
       for (let i = 0; i < maxAttempts; i++) {
-        // Try multiple selectors for the next button
-        const nextButton = await this.page.$('#nextPageIcon, button[aria-label*="next"], button[aria-label*="Next"], .next-button, .arrow-right, [data-react-class*="ChevronRight"]');
+        const nextButton = await this.findNavigationButton('nextButton');
         if (!nextButton) {
-          logger.info('No next button found, reached end of document');
-          break;
-        }
-        
-        // Check if button is visible and enabled
-        const isVisible = await nextButton.isVisible();
-        const isDisabled = await nextButton.getAttribute('disabled');
-        
-        if (!isVisible || isDisabled) {
           logger.info('Next button not visible or disabled, reached end of document');
           break;
         }
         
         logger.info(`Navigating to page ${pageCount + 1}`);
         
-        await nextButton.click();
-        await this.page.waitForTimeout(2000); // Give more time for page transition
-        await this.page.waitForLoadState('domcontentloaded');
-        
-        // Check if the next button is still available after navigation
-        const nextButtonAfterNav = await this.page.$('#nextPageIcon, button[aria-label*="next"], button[aria-label*="Next"], .next-button, .arrow-right, [data-react-class*="ChevronRight"]');
-        const isNextButtonVisible = nextButtonAfterNav ? await nextButtonAfterNav.isVisible() : false;
-        
-        logger.info(`Next button after navigation: ${nextButtonAfterNav ? 'found' : 'not found'}, visible: ${isNextButtonVisible}`);
-        
-        if (!nextButtonAfterNav || !isNextButtonVisible) {
-          logger.info('Next button no longer available after navigation, reached end of document');
-          pageCount++;
+        if (!(await this.advanceSlide(nextButton))) {
+          logger.info('Next click did not change the slide, reached end of document');
           break;
         }
         
         pageCount++;
         
         // Safety check to avoid infinite loops
-        if (pageCount > maxAttempts) {
+        if (pageCount >= maxAttempts) {
           logger.warn('Reached maximum page count limit', { maxAttempts });
           break;
         }
@@ -523,14 +716,7 @@ class DocSendService {
       // Go back to first page
       if (pageCount > 1) {
         logger.info('Returning to first page');
-        for (let i = 0; i < pageCount - 1; i++) {
-          const prevButton = await this.page.$('#prevPageIcon, button[aria-label*="previous"], button[aria-label*="Previous"], .prev-button, .arrow-left, [data-react-class*="ChevronLeft"]');
-          if (prevButton && await prevButton.isVisible()) {
-            await prevButton.click();
-            await this.page.waitForTimeout(1000);
-            await this.page.waitForLoadState('domcontentloaded');
-          }
-        }
+        await this.returnToFirstPage(pageCount);
       }
       
       logger.info('Page count determined by navigation', { count: pageCount });
@@ -541,27 +727,115 @@ class DocSendService {
     }
   }
 
-  // Capture screenshot of current page
+  // Listen to viewer network traffic and keep slide images as they are downloaded
+  startNetworkCapture() {
+    this.pageImageUrls.clear();
+    this.imageResponses.clear();
+
+    this.page.on('response', (response) => {
+      this.handleCaptureResponse(response).catch(error => {
+        logger.debug('Ignoring unreadable response during capture', { error: error.message });
+      });
+    });
+
+    logger.info('Network image capture enabled');
+  }
+
+  // Record page_data lookups and image bodies from a single response
+  async handleCaptureResponse(response) {
+    if (!response.ok()) {
+      return;
+    }
+
+    const url = response.url();
+    const contentType = response.headers()['content-type'] || '';
+
+    // The viewer asks /page_data/<n> for the image URL of each slide
+    const pageDataMatch = url.match(/\/page_data\/(\d+)/);
+    if (pageDataMatch && contentType.includes('json')) {
+      const data = await response.json();
+      const imageUrl = data.imageUrl || data.image_url;
+      if (imageUrl) {
+        this.pageImageUrls.set(parseInt(pageDataMatch[1]), imageUrl);
+      }
+      return;
+    }
+
+    if (/^image\/(png|jpe?g|webp)/.test(contentType)) {
+      const body = await response.body();
+      if (body.length >= config.capture.minImageBytes) {
+        this.imageResponses.set(url, body);
+      }
+    }
+  }
+
+  // Find the original image the viewer downloaded for the current slide
+  async getNetworkPageImage(pageNumber) {
+    try {
+      let imageUrl = this.pageImageUrls.get(pageNumber);
+
+      if (!imageUrl) {
+        // No page_data seen for this page, use the largest image visible in the viewer
+        const slideImage = await this.findSlideImage();
+        imageUrl = slideImage && slideImage.src;
+      }
+
+      if (!imageUrl || imageUrl.startsWith('data:') || imageUrl.startsWith('blob:')) {
+        return null;
+      }
+
+      let image = this.imageResponses.get(imageUrl);
+      if (!image) {
+        // Not seen on the wire yet (or too small to keep), fetch it with the viewer's cookies
+        const response = await this.context.request.get(imageUrl);
+        image = response.ok() ? await response.body() : null;
+      }
+
+      if (!image || image.length < config.capture.minImageBytes || !detectImageFormat(image)) {
+        return null;
+      }
+
+      // Each slide image is only needed once, don't hold it for the whole job
+      this.imageResponses.delete(imageUrl);
+      return image;
+    } catch (error) {
+      logger.warn('Failed to read page image from network', { pageNumber, error: error.message });
+      return null;
+    }
+  }
+
+  // Capture the current page, preferring the viewer's original slide image
   async capturePage(pageNumber) {
     try {
-      // Wait for page to render
+      // Wait for the slide to finish rendering
       await this.page.waitForLoadState('domcontentloaded');
-      await this.page.waitForTimeout(2000); // Give more time for content to render
+      await this.waitForSlideSettled();
+      
+      if (config.capture.mode === 'network') {
+        const image = await this.getNetworkPageImage(pageNumber);
+        if (image) {
+          const text = await this.extractPageText('image');
+          const heading = await this.readPageHeading(text);
+          const media = await this.detectPageMedia('image');
+          logger.info('Page captured from network image', { pageNumber, size: image.length, textItems: text.length });
+          return { data: image, source: 'network', text: config.pdf.textLayer ? text : [], heading, media };
+        }
+        logger.info('No network image found for page, falling back to screenshot', { pageNumber });
+      }
       
       // Try to hide UI elements that might overlap content
-      await this.page.evaluate(() => {
-        const selectors = [
-          '.toolbar', '.navigation', '.header', '.footer',
-          '.floating-controls', '.ui-overlay', '.chrome'
-        ];
-        
+      await this.page.evaluate((selectors) => {
         selectors.forEach(selector => {
           const elements = document.querySelectorAll(selector);
           elements.forEach(el => {
             if (el.style) el.style.display = 'none';
           });
         });
-      });
+      }, this.profile.selectors.screenshotOverlays);
+      
+      const text = await this.extractPageText('page');
+      const heading = await this.readPageHeading(text);
+      const media = await this.detectPageMedia('page');
       
       // Capture full page screenshot
       const screenshot = await this.page.screenshot({
@@ -569,46 +843,442 @@ class DocSendService {
         type: 'png'
       });
       
-      logger.info('Page captured successfully', { pageNumber });
-      return screenshot;
+      logger.info('Page captured successfully', { pageNumber, textItems: text.length });
+      return { data: screenshot, source: 'screenshot', text: config.pdf.textLayer ? text : [], heading, media };
     } catch (error) {
       logger.error('Failed to capture page', { pageNumber, error: error.message });
       throw error;
     }
   }
 
-  // Navigate to specific page
+  // The largest image visible in the viewer, normally the current slide. Returns { src, loaded, left, top,
+  // right, bottom, width, height } in viewport CSS pixels plus the viewport size, or null when none is on screen.
+  async findSlideImage() {
+    return this.page.evaluate(() => {
+      let slide = null;
+      let bestArea = 0;
+      document.querySelectorAll('img').forEach(img => {
+        const rect = img.getBoundingClientRect();
+        const isVisible = rect.width > 0 && rect.height > 0 &&
+          rect.bottom > 0 && rect.right > 0 &&
+          rect.top < window.innerHeight && rect.left < window.innerWidth;
+        const area = rect.width * rect.height;
+        if (isVisible && area > bestArea) {
+          slide = {
+            src: img.currentSrc || img.src,
+            loaded: img.complete && img.naturalWidth > 0,
+            left: rect.left,
+            top: rect.top,
+            right: rect.right,
+            bottom: rect.bottom,
+            width: rect.width,
+            height: rect.height,
+            viewportWidth: window.innerWidth,
+            viewportHeight: window.innerHeight
+          };
+          bestArea = area;
+        }
+      });
+      return slide;
+    });
+  }
+
+  // Box that text and embed positions are measured against, in viewport CSS pixels: the slide image
+  // for 'image', the whole scrolled document for 'page' (or when no slide image is visible)
+  async getRegionBounds(region) {
+    const slide = region === 'image' ? await this.findSlideImage() : null;
+    if (slide) {
+      return { left: slide.left, top: slide.top, width: slide.width, height: slide.height };
+    }
+    return this.page.evaluate(() => ({
+      left: -window.scrollX,
+      top: -window.scrollY,
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight
+    }));
+  }
+
+  // Collect visible words on the current slide with positions relative to the captured region.
+  // 'image' measures against the slide image in the viewer, 'page' against the full-page screenshot.
+  // Coordinates are fractions of the region (0-1, origin top-left) so they fit any embedded size.
+  async extractPageText(region = 'page') {
+    try {
+      const bounds = await this.getRegionBounds(region);
+      return await this.page.evaluate(({ bounds, maxItems }) => {
+        const round = value => Math.round(value * 10000) / 10000;
+        const items = [];
+        const range = document.createRange();
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        let node;
+
+        while ((node = walker.nextNode()) && items.length < maxItems) {
+          const parent = node.parentElement;
+          if (!parent || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) continue;
+          if (window.getComputedStyle(parent).visibility === 'hidden') continue;
+
+          const wordPattern = /\S+/g;
+          let match;
+          while ((match = wordPattern.exec(node.textContent)) && items.length < maxItems) {
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            const rect = range.getBoundingClientRect();
+            if (!rect.width || !rect.height) continue;
+
+            const x = (rect.left - bounds.left) / bounds.width;
+            const y = (rect.top - bounds.top) / bounds.height;
+            const width = rect.width / bounds.width;
+            const height = rect.height / bounds.height;
+
+            // Skip words whose centre falls outside the captured region (toolbars, sidebars)
+            const centerX = x + width / 2;
+            const centerY = y + height / 2;
+            if (centerX < 0 || centerX > 1 || centerY < 0 || centerY > 1) continue;
+
+            items.push({ text: match[0], x: round(x), y: round(y), width: round(width), height: round(height) });
+          }
+        }
+
+        return items;
+      }, { bounds, maxItems: 5000 });
+    } catch (error) {
+      logger.warn('Failed to extract page text', { error: error.message });
+      return [];
+    }
+  }
+
+  // Heading of the current slide for the PDF outline: the viewer's own slide title when it shows one,
+  // else the largest text on the slide. Returns { title, section } or null.
+  async readPageHeading(textItems) {
+    const fromText = findHeading(textItems);
+    let viewerTitle = null;
+    try {
+      viewerTitle = await this.page.evaluate((selectors) => {
+        for (const selector of selectors) {
+          let element = null;
+          try {
+            element = document.querySelector(selector);
+          } catch (e) {
+            continue;
+          }
+          const text = element && element.offsetParent !== null ? element.textContent.trim() : '';
+          if (text) return text.replace(/\s+/g, ' ').slice(0, 120);
+        }
+        return null;
+      }, this.profile.selectors.slideTitle || []);
+    } catch (error) {
+      logger.warn('Failed to read slide title', { error: error.message });
+    }
+
+    if (viewerTitle) {
+      return { title: viewerTitle, section: Boolean(fromText && fromText.section) };
+    }
+    return fromText;
+  }
+
+  // Find video and interactive embeds on the current slide. Returns [{ type, src, link, duration, poster, x, y, width, height }]
+  // with the box in fractions of the captured region (as in extractPageText) and poster as a JPEG of the embed's frame,
+  // taken once per src.
+  async detectPageMedia(region = 'page') {
+    try {
+      const bounds = await this.getRegionBounds(region);
+      const embeds = await this.page.evaluate((bounds) => {
+        const round = value => Math.round(value * 10000) / 10000;
+        const embeds = [];
+        document.querySelectorAll('video, iframe, embed, object').forEach(el => {
+          const rect = el.getBoundingClientRect();
+          const style = window.getComputedStyle(el);
+          // Tracking pixels and hidden frames are not content
+          if (rect.width < 80 || rect.height < 60 || style.display === 'none' || style.visibility === 'hidden') return;
+
+          // Embeds outside the captured region (e.g. next to the slide image) are not on the page,
+          // ones partly inside are cut to the region
+          const left = Math.max(rect.left, bounds.left);
+          const top = Math.max(rect.top, bounds.top);
+          const right = Math.min(rect.right, bounds.left + bounds.width);
+          const bottom = Math.min(rect.bottom, bounds.top + bounds.height);
+          if (right <= left || bottom <= top) return;
+
+          const src = el.currentSrc || el.src || el.data || el.querySelector?.('source')?.src || '';
+          embeds.push({
+            tagName: el.tagName,
+            src: src || null,
+            duration: el.tagName === 'VIDEO' ? el.duration : parseFloat(el.getAttribute('data-duration')) || null,
+            x: round((left - bounds.left) / bounds.width),
+            y: round((top - bounds.top) / bounds.height),
+            width: round((right - left) / bounds.width),
+            height: round((bottom - top) / bounds.height),
+            clip: {
+              x: Math.max(0, rect.left),
+              y: Math.max(0, rect.top),
+              width: Math.min(window.innerWidth, rect.right) - Math.max(0, rect.left),
+              height: Math.min(window.innerHeight, rect.bottom) - Math.max(0, rect.top)
+            }
+          });
+        });
+        return embeds;
+      }, bounds);
+
+      const media = [];
+      for (const embed of embeds) {
+        // An embed repeated on several slides keeps the poster from its first one
+        let poster = embed.src ? this.mediaPosters.get(embed.src) || null : null;
+        if (!poster && embed.clip.width > 0 && embed.clip.height > 0) {
+          poster = await this.page.screenshot({ clip: embed.clip, type: 'jpeg', quality: 80 }).catch(() => null);
+          if (poster && embed.src) {
+            this.mediaPosters.set(embed.src, poster);
+          }
+        }
+        media.push({
+          type: getMediaType(embed.tagName, embed.src),
+          src: embed.src,
+          link: getMediaLink(embed.src),
+          duration: Number.isFinite(embed.duration) ? embed.duration : null,
+          poster,
+          x: embed.x,
+          y: embed.y,
+          width: embed.width,
+          height: embed.height
+        });
+      }
+
+      if (media.length > 0) {
+        logger.info('Media embeds found on page', { media: media.map(item => item.type) });
+      }
+      return media;
+    } catch (error) {
+      logger.warn('Failed to detect media embeds', { error: error.message });
+      return [];
+    }
+  }
+
+  // Fingerprint of what the viewer currently shows: page counter, slide image and a hash of the slide pixels
+  async getSlideSignature() {
+    const counter = await this.page.evaluate((counterSelector) => {
+      try {
+        const element = document.querySelector(counterSelector);
+        return element ? element.textContent.trim() : null;
+      } catch (e) {
+        // Profile selector not usable in the page, rely on the image and pixels
+        return null;
+      }
+    }, this.selector('pageCounter'));
+
+    const slide = await this.findSlideImage();
+    const clip = slide ? {
+      x: Math.max(0, slide.left),
+      y: Math.max(0, slide.top),
+      width: Math.min(slide.viewportWidth, slide.right) - Math.max(0, slide.left),
+      height: Math.min(slide.viewportHeight, slide.bottom) - Math.max(0, slide.top)
+    } : undefined;
+    const pixels = await this.page.screenshot({ clip, type: 'jpeg', quality: 30, caret: 'hide' });
+
+    return {
+      key: [counter, slide?.src, crypto.createHash('md5').update(pixels).digest('hex')].join('|'),
+      loaded: !slide || slide.loaded
+    };
+  }
+
+  // Poll the slide until it differs from the previous signature (if given) and then stops changing.
+  // Returns { changed, settled, signature }; gives up after the transition timeout.
+  async waitForSlideTransition(previous = null) {
+    const { transitionTimeoutMs, transitionPollMs } = config.capture;
+    const deadline = Date.now() + transitionTimeoutMs;
+    let changed = !previous;
+    let last = null;
+
+    while (Date.now() < deadline) {
+      const current = await this.getSlideSignature();
+      if (!changed && current.key !== previous.key) {
+        changed = true;
+      }
+
+      // Settled once two samples in a row match and the slide image has finished loading
+      if (changed && last && current.key === last.key && current.loaded) {
+        return { changed, settled: true, signature: current };
+      }
+
+      last = current;
+      await this.page.waitForTimeout(transitionPollMs);
+    }
+
+    return { changed, settled: false, signature: last };
+  }
+
+  // Wait for the current slide to finish rendering, falling back to a fixed pause
+  async waitForSlideSettled() {
+    try {
+      const { settled } = await this.waitForSlideTransition();
+      if (!settled) {
+        logger.warn('Slide kept changing, capturing anyway', { timeoutMs: config.capture.transitionTimeoutMs });
+      }
+    } catch (error) {
+      logger.warn('Slide settle detection failed, using fixed wait', { error: error.message });
+      await this.page.waitForTimeout(2000);
+    }
+  }
+
+  // Click a next/prev button and wait for the slide to change.
+  // Returns false when the click did not move the deck (first or last slide).
+  async advanceSlide(button) {
+    let before = null;
+    try {
+      before = await this.getSlideSignature();
+    } catch (error) {
+      logger.warn('Slide transition detection unavailable, using fixed wait', { error: error.message });
+    }
+
+    await button.click();
+
+    if (!before) {
+      await this.page.waitForTimeout(1500);
+      await this.page.waitForLoadState('domcontentloaded');
+      return true;
+    }
+
+    try {
+      const { changed, settled } = await this.waitForSlideTransition(before);
+      if (changed && !settled) {
+        logger.warn('Slide changed but did not settle within the transition timeout');
+      }
+      return changed;
+    } catch (error) {
+      logger.warn('Slide transition detection failed, using fixed wait', { error: error.message });
+      await this.page.waitForTimeout(1500);
+      return true;
+    }
+  }
+
+  // Find the next or previous button if it is visible
+  async findNavigationButton(key) {
+    const button = await this.page.$(this.selector(key));
+    if (!button || !(await button.isVisible())) {
+      return null;
+    }
+    const isDisabled = await button.getAttribute('disabled');
+    return isDisabled === null ? button : null;
+  }
+
+  // Click "previous" until the deck stops moving (at most maxSteps clicks)
+  async returnToFirstPage(maxSteps) {
+    for (let i = 0; i < maxSteps; i++) {
+      const prevButton = await this.findNavigationButton('prevButton');
+      if (!prevButton || !(await this.advanceSlide(prevButton))) {
+        break;
+      }
+    }
+    this.currentPage = 1;
+  }
+
+  // Read the page number the viewer shows, or null if the layout has no readable counter
+  async readCurrentPage() {
+    try {
+      return await this.page.evaluate((selectors) => {
+        for (const selector of selectors) {
+          let element = null;
+          try {
+            element = document.querySelector(selector);
+          } catch (e) {
+            continue;
+          }
+          const value = element && (element.tagName === 'INPUT' ? element.value : element.textContent);
+          const match = (value || '').match(/\d+/);
+          if (match) return parseInt(match[0]);
+        }
+        return null;
+      }, this.profile.selectors.currentPage);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Type the page number into the viewer's page input. Returns true once the viewer is on that page.
+  async jumpWithPageInput(pageNumber) {
+    try {
+      let input = null;
+      for (const selector of this.profile.selectors.pageInput) {
+        const candidate = await this.page.$(selector);
+        if (candidate && await candidate.isVisible() && await candidate.isEditable()) {
+          input = candidate;
+          break;
+        }
+      }
+      if (!input) {
+        return false;
+      }
+
+      const before = await this.getSlideSignature();
+      await input.fill(String(pageNumber));
+      await input.press('Enter');
+      const { changed } = await this.waitForSlideTransition(before);
+
+      const shown = await this.readCurrentPage();
+      return shown !== null ? shown === pageNumber : changed;
+    } catch (error) {
+      logger.warn('Page input jump failed', { pageNumber, error: error.message });
+      return false;
+    }
+  }
+
+  // Send arrow keys to the viewer without waiting between slides, then read where it landed.
+  // Only used when the counter is readable, since that is the only way to know the result.
+  async jumpWithKeyboard(pageNumber) {
+    try {
+      if ((await this.readCurrentPage()) === null) {
+        return null;
+      }
+
+      const before = await this.getSlideSignature();
+      const key = pageNumber > this.currentPage ? 'ArrowRight' : 'ArrowLeft';
+      // Keys typed into an input (e.g. the page field) don't reach the viewer
+      await this.page.evaluate(() => document.activeElement && document.activeElement.blur());
+      for (let i = 0; i < Math.abs(pageNumber - this.currentPage); i++) {
+        await this.page.keyboard.press(key);
+        await this.page.waitForTimeout(50);
+      }
+      await this.waitForSlideTransition(before);
+
+      return this.readCurrentPage();
+    } catch (error) {
+      logger.warn('Keyboard jump failed', { pageNumber, error: error.message });
+      return null;
+    }
+  }
+
+  // Navigate to a specific page from wherever the viewer is, jumping directly when the viewer allows it
+  // and stepping with the next/prev buttons for whatever distance is left
   async navigateToPage(pageNumber) {
     try {
-      if (pageNumber === 1) {
-        // Already on first page
+      if (pageNumber === this.currentPage) {
         return;
       }
-      
-      // Simple approach: always go back to first page, then navigate forward
-      // This ensures we're always starting from a known position
-      const prevButton = await this.page.$('#prevPageIcon, button[aria-label*="previous"], button[aria-label*="Previous"], .prev-button, .arrow-left, [data-react-class*="ChevronLeft"]');
-      if (prevButton && await prevButton.isVisible()) {
-        logger.info('Going back to first page before navigation');
-        // Go back to first page
-        while (await prevButton.isVisible()) {
-          await prevButton.click();
-          await this.page.waitForTimeout(1000);
-          await this.page.waitForLoadState('domcontentloaded');
+
+      if (Math.abs(pageNumber - this.currentPage) > 1) {
+        if (await this.jumpWithPageInput(pageNumber)) {
+          this.currentPage = pageNumber;
+          logger.info('Jumped to page with the page input', { pageNumber });
+          return;
+        }
+
+        const landedOn = await this.jumpWithKeyboard(pageNumber);
+        if (landedOn !== null) {
+          this.currentPage = landedOn;
+          logger.info('Jumped with keyboard navigation', { pageNumber, landedOn });
         }
       }
-      
-      // Navigate from page 1 to target page
-      for (let i = 1; i < pageNumber; i++) {
-        const nextButton = await this.page.$('#nextPageIcon, button[aria-label*="next"], button[aria-label*="Next"], .next-button, .arrow-right, [data-react-class*="ChevronRight"]');
-        if (nextButton && await nextButton.isVisible()) {
-          logger.info(`Navigating from page ${i} to page ${i + 1}`);
-          await nextButton.click();
-          await this.page.waitForTimeout(1500); // Give more time for page transition
-          await this.page.waitForLoadState('domcontentloaded');
-        } else {
-          throw new Error(`Cannot navigate to page ${pageNumber} - next button not found or not visible`);
+
+      while (this.currentPage !== pageNumber) {
+        const forward = pageNumber > this.currentPage;
+        const button = await this.findNavigationButton(forward ? 'nextButton' : 'prevButton');
+        if (!button) {
+          if (forward && this.currentPage > 1) {
+            throw new PageOutOfRangeError(pageNumber, this.currentPage);
+          }
+          throw new PageNavigationError(`Cannot navigate to page ${pageNumber} - ${forward ? 'next' : 'previous'} button not found or not visible`, { pageNumber });
         }
+        if (!(await this.advanceSlide(button))) {
+          throw new PageOutOfRangeError(pageNumber, this.currentPage);
+        }
+        this.currentPage += forward ? 1 : -1;
       }
       
       logger.info('Navigated to page', { pageNumber });
@@ -618,47 +1288,58 @@ class DocSendService {
     }
   }
 
-  // Capture specific pages or all pages
+  // Capture specific pages or all pages. A page that still fails after its retries becomes
+  // a placeholder entry ({ pageNumber, placeholder: true, error }) and is listed in failedPages.
+  // Requested pages past the end of the document are listed in outOfRangePages, so the pages
+  // before them are still delivered (unless none of the requested pages exist).
   async captureAllPages(pageNumbers = null) {
     try {
       logger.info('Starting page capture', { pageNumbers });
       
+      // Kept on the service so a timed-out job can still deliver the pages captured so far
       const screenshots = [];
+      this.capturedPages = screenshots;
+      this.failedPages = [];
+      this.outOfRangePages = [];
+      
+      // Long-scroll documents have no slides to step through, capture them as tiles instead
+      const scrollViewer = await this.detectScrollViewer();
+      if (scrollViewer) {
+        const pages = await this.captureScrollDocument(scrollViewer);
+        const wanted = pageNumbers && pageNumbers.length > 0 ? new Set(pageNumbers) : null;
+        screenshots.push(...pages.filter(page => !wanted || wanted.has(page.pageNumber)));
+        logger.info('Scroll document captured', { totalPages: pages.length, captured: screenshots.length });
+        return screenshots;
+      }
       
       if (pageNumbers && pageNumbers.length > 0) {
-        // Capture specific pages
-        logger.info(`Capturing specific pages: ${pageNumbers.join(', ')}`);
+        // Capture specific pages in a single forward pass
+        const orderedPages = [...new Set(pageNumbers)].sort((a, b) => a - b);
+        logger.info(`Capturing specific pages: ${orderedPages.join(', ')}`);
         
-        for (const pageNum of pageNumbers) {
+        for (const [index, pageNum] of orderedPages.entries()) {
           logger.info('Capturing specific page', { pageNum });
-          
-          // Navigate to the specific page
-          await this.navigateToPage(pageNum);
-          
-          // Take screenshot of current page
-          const screenshot = await this.capturePage(pageNum);
-          screenshots.push({
-            pageNumber: pageNum,
-            data: screenshot
-          });
-          
-          // Save screenshot locally for testing (optional)
-          if (config.debug?.saveScreenshots) {
-            const fs = require('fs');
-            const path = require('path');
-            const screenshotsDir = path.join(process.cwd(), 'screenshots');
-            if (!fs.existsSync(screenshotsDir)) {
-              fs.mkdirSync(screenshotsDir, { recursive: true });
+          try {
+            screenshots.push(await this.capturePageWithRetry(pageNum));
+          } catch (error) {
+            // Pages are in order, so every page from here on is past the end too
+            if (error instanceof PageOutOfRangeError && screenshots.length > 0) {
+              this.outOfRangePages = orderedPages.slice(index);
+              logger.warn('Requested pages are past the end of the document', {
+                outOfRangePages: this.outOfRangePages,
+                lastPage: error.details.lastPage
+              });
+              break;
             }
-            const filename = `page-${pageNum.toString().padStart(2, '0')}.png`;
-            fs.writeFileSync(path.join(screenshotsDir, filename), screenshot);
-            logger.info(`Screenshot saved locally: ${filename}`);
+            throw error;
           }
         }
         
         logger.info('Specific pages captured successfully', { 
           totalPages: screenshots.length, 
-          requestedPages: pageNumbers 
+          requestedPages: pageNumbers,
+          failedPages: this.failedPages,
+          outOfRangePages: this.outOfRangePages
         });
         
       } else {
@@ -672,39 +1353,23 @@ class DocSendService {
         while (pageNum <= configMaxPages) {
           logger.info('Capturing page', { pageNum, maxAllowed: configMaxPages });
           
-          // Take screenshot of current page
-          const screenshot = await this.capturePage(pageNum);
-          screenshots.push({
-            pageNumber: pageNum,
-            data: screenshot
-          });
-          
-          // Save screenshot locally for testing (optional)
-          if (config.debug?.saveScreenshots) {
-            const fs = require('fs');
-            const path = require('path');
-            const screenshotsDir = path.join(process.cwd(), 'screenshots');
-            if (!fs.existsSync(screenshotsDir)) {
-              fs.mkdirSync(screenshotsDir, { recursive: true });
+          try {
+            screenshots.push(await this.capturePageWithRetry(pageNum));
+          } catch (error) {
+            // Moving past the last slide leaves the deck where it is
+            if (error instanceof PageOutOfRangeError && pageNum > 1) {
+              logger.info('Next click did not change the slide, reached end of document');
+              break;
             }
-            const filename = `page-${pageNum.toString().padStart(2, '0')}.png`;
-            fs.writeFileSync(path.join(screenshotsDir, filename), screenshot);
-            logger.info(`Screenshot saved locally: ${filename}`);
+            throw error;
           }
           
           // Check if there's a next page
-          const nextButton = await this.page.$('#nextPageIcon, button[aria-label*="next"], button[aria-label*="Next"], .next-button, .arrow-right, [data-react-class*="ChevronRight"]');
-          if (!nextButton || !(await nextButton.isVisible())) {
+          if (!(await this.findNavigationButton('nextButton'))) {
             logger.info('No next button found, reached end of document');
             break;
           }
           
-          // Navigate to next page
-          logger.info(`Navigating from page ${pageNum} to page ${pageNum + 1}`);
-          await nextButton.click();
-          await this.page.waitForTimeout(1500); // Give time for page transition
-          await this.page.waitForLoadState('domcontentloaded');
-          
           pageNum++;
           
           // Progress update
@@ -715,33 +1380,431 @@ class DocSendService {
         
         logger.info('All pages captured successfully', { 
           totalPages: screenshots.length, 
-          maxAllowed: configMaxPages 
+          maxAllowed: configMaxPages,
+          failedPages: this.failedPages
         });
       }
       
+      if (screenshots.length > 0 && this.failedPages.length === screenshots.length) {
+        throw new CaptureFailedError(`Failed to capture any page: ${screenshots[0].error}`);
+      }
+      
       return screenshots;
     } catch (error) {
       logger.error('Failed to capture pages', { error: error.message });
-      throw error;
+      throw error instanceof ConversionError ? error : new CaptureFailedError(`Failed to capture pages: ${error.message}`, error);
+    }
+  }
+
+  // Navigate to and capture one page, reloading the viewer between attempts.
+  // Returns the screenshot entry, or a placeholder entry once the retries are used up.
+  async capturePageWithRetry(pageNumber) {
+    const attempts = config.capture.pageRetries + 1;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        if (attempt > 1) {
+          logger.info('Retrying page after reloading the viewer', { pageNumber, attempt });
+          await this.recoverViewer();
+        }
+
+        await this.navigateToPage(pageNumber);
+        const capture = await this.capturePage(pageNumber);
+
+        // Save screenshot locally for testing (optional)
+        if (config.debug?.saveScreenshots) {
+          this.saveDebugScreenshot(pageNumber, capture.data);
+        }
+
+        return {
+          pageNumber,
+          data: capture.data,
+          source: capture.source,
+          text: capture.text,
+          heading: capture.heading,
+          media: capture.media
+        };
+      } catch (error) {
+        // A job past its deadline or a page beyond the end of the deck won't get better with a reload
+        if (this.closed) {
+          throw new JobAbortedError();
+        }
+        if (error instanceof PageOutOfRangeError) {
+          throw error;
+        }
+        lastError = error;
+        logger.warn('Page capture attempt failed', { pageNumber, attempt, attempts, error: error.message });
+      }
+    }
+
+    logger.error('Giving up on page, adding a placeholder', { pageNumber, error: lastError.message });
+    this.failedPages.push(pageNumber);
+    return { pageNumber, placeholder: true, error: lastError.message };
+  }
+
+  // Reload the viewer after a failed page and read where it reopened
+  async recoverViewer() {
+    await this.page.reload({ waitUntil: 'domcontentloaded' });
+    await this.checkPageState('reload');
+    await this.detectSelectorProfile();
+    await this.handleAuthentication(this.authOptions);
+    await this.waitForViewerReady();
+    await this.detectSelectorProfile();
+    this.currentPage = (await this.readCurrentPage()) || 1;
+  }
+
+  // Detect a viewer that shows the document as one long vertical scroll instead of slides: there is no
+  // next-page button and one of the profile's scrollContainer elements holds more than a screen of content.
+  // Marks that element and returns { scrollHeight, clientHeight, clientWidth }, or null.
+  async detectScrollViewer() {
+    const containerSelectors = this.profile.selectors.scrollContainer || [];
+    if (containerSelectors.length === 0 || await this.findNavigationButton('nextButton')) {
+      return null;
+    }
+
+    const viewer = await this.page.evaluate(({ containerSelectors, attribute }) => {
+      const isScrollable = (el) => el.clientHeight >= 200 && el.scrollHeight > el.clientHeight * 1.5 &&
+        /(auto|scroll)/.test(window.getComputedStyle(el).overflowY);
+
+      let best = null;
+      for (const selector of containerSelectors) {
+        let matches = [];
+        try {
+          matches = document.querySelectorAll(selector);
+        } catch (e) {
+          // Profile selector not usable in the page
+          continue;
+        }
+        for (const el of matches) {
+          if (isScrollable(el) && (!best || el.clientWidth * el.clientHeight > best.clientWidth * best.clientHeight)) {
+            best = el;
+          }
+        }
+      }
+      if (!best) return null;
+
+      best.setAttribute(attribute, 'true');
+      return { scrollHeight: best.scrollHeight, clientHeight: best.clientHeight, clientWidth: best.clientWidth };
+    }, { containerSelectors, attribute: SCROLL_CONTAINER_ATTRIBUTE });
+
+    if (viewer) {
+      logger.info('Scroll-style viewer detected', viewer);
+    }
+    return viewer;
+  }
+
+  // Capture a scroll-style document: screenshot it in viewport-sized tiles, stitch them with sharp
+  // and cut the result into page-sized images, preferring the document's own page boundaries.
+  // The words seen in each tile become the text layer and heading of the page they end up on.
+  async captureScrollDocument(viewer) {
+    await this.page.evaluate((selectors) => {
+      selectors.forEach(selector => {
+        document.querySelectorAll(selector).forEach(el => {
+          if (el.style) el.style.display = 'none';
+        });
+      });
+    }, this.profile.selectors.screenshotOverlays);
+
+    // Stop scrolling once there is enough for the page limit
+    const pageHeight = getScrollPageHeight(viewer.clientWidth, config.pdf.pageSize);
+    const maxHeight = pageHeight * config.rateLimiting.maxPages;
+    const tiles = [];
+    const words = [];
+    let offset = 0;
+
+    while (offset < maxHeight) {
+      const view = await this.scrollViewerTo(offset);
+      await this.waitForScrollTileLoaded();
+      const data = await this.page.screenshot({
+        type: 'png',
+        clip: { x: view.x, y: view.y, width: view.width, height: view.height }
+      });
+      tiles.push({ top: view.scrollTop, height: view.height, data });
+      this.addScrollWords(words, await this.readScrollText());
+
+      // Lazy-loaded documents grow while scrolling, so re-read the height each time
+      if (view.scrollTop + view.height >= view.scrollHeight - 1) {
+        break;
+      }
+      offset = view.scrollTop + view.height;
+    }
+
+    const pageTops = await this.readScrollPageTops();
+    const pages = await stitchScrollPages(tiles, { pageHeight, pageTops });
+    logger.info('Scroll document stitched', {
+      tiles: tiles.length,
+      pages: pages.length,
+      naturalPages: pageTops.length,
+      words: words.length
+    });
+
+    return pages.slice(0, config.rateLimiting.maxPages).map((page, index) => {
+      const text = this.getScrollPageText(words, page);
+      return {
+        pageNumber: index + 1,
+        data: page.data,
+        source: 'scroll',
+        text,
+        heading: findHeading(text),
+        media: []
+      };
+    });
+  }
+
+  // Words in the scroll container's visible part, placed in the scrolled content: x and width as
+  // fractions of the content width, top and height in CSS pixels from the top of the content
+  async readScrollText() {
+    try {
+      return await this.page.evaluate(({ attribute, maxItems }) => {
+        const container = document.querySelector(`[${attribute}]`);
+        const box = container.getBoundingClientRect();
+        const origin = box.top - container.scrollTop;
+        const visibleTop = Math.max(box.top, 0);
+        const visibleBottom = Math.min(box.bottom, window.innerHeight);
+
+        const round = value => Math.round(value * 10000) / 10000;
+        const items = [];
+        const range = document.createRange();
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        let node;
+
+        while ((node = walker.nextNode()) && items.length < maxItems) {
+          const parent = node.parentElement;
+          if (!parent || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) continue;
+          if (window.getComputedStyle(parent).visibility === 'hidden') continue;
+
+          const wordPattern = /\S+/g;
+          let match;
+          while ((match = wordPattern.exec(node.textContent)) && items.length < maxItems) {
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            const rect = range.getBoundingClientRect();
+            if (!rect.width || !rect.height) continue;
+
+            // Words scrolled out of view are read from the tile that shows them
+            const centerY = rect.top + rect.height / 2;
+            if (centerY < visibleTop || centerY >= visibleBottom) continue;
+
+            items.push({
+              text: match[0],
+              x: round((rect.left - box.left) / container.clientWidth),
+              width: round(rect.width / container.clientWidth),
+              top: Math.round(rect.top - origin),
+              height: Math.round(rect.height)
+            });
+          }
+        }
+
+        return items;
+      }, { attribute: SCROLL_CONTAINER_ATTRIBUTE, maxItems: 5000 });
+    } catch (error) {
+      logger.warn('Failed to read scroll document text', { error: error.message });
+      return [];
+    }
+  }
+
+  // Add the words read from one tile to the document's words, keeping each word once where tiles overlap.
+  // The same word read from two tiles can land a pixel apart vertically once its position is rounded.
+  addScrollWords(words, tileWords) {
+    const seen = new Map();
+    for (const word of words) {
+      const key = `${word.x}:${word.text}`;
+      seen.set(key, [...(seen.get(key) || []), word.top]);
+    }
+
+    for (const word of tileWords) {
+      const tops = seen.get(`${word.x}:${word.text}`) || [];
+      if (!tops.some(top => Math.abs(top - word.top) <= 1)) {
+        words.push(word);
+      }
+    }
+    return words;
+  }
+
+  // Text items of one stitched page ({ top, bottom } in CSS pixels), in the page's fractional coordinates
+  getScrollPageText(words, { top, bottom }) {
+    const height = bottom - top;
+    const round = value => Math.round(value * 10000) / 10000;
+    return words
+      .filter(word => word.top + word.height / 2 >= top && word.top + word.height / 2 < bottom)
+      .sort((a, b) => a.top - b.top || a.x - b.x)
+      .map(word => ({
+        text: word.text,
+        x: word.x,
+        y: round((word.top - top) / height),
+        width: word.width,
+        height: round(word.height / height)
+      }));
+  }
+
+  // Scroll the marked container to offset (CSS pixels) and return where it landed and its visible box
+  async scrollViewerTo(offset) {
+    return this.page.evaluate(({ attribute, top }) => {
+      const el = document.querySelector(`[${attribute}]`);
+      el.scrollTop = top;
+
+      const rect = el.getBoundingClientRect();
+      const x = Math.max(0, rect.x);
+      const y = Math.max(0, rect.y);
+      return {
+        scrollTop: el.scrollTop,
+        scrollHeight: el.scrollHeight,
+        x,
+        y,
+        width: Math.min(el.clientWidth, window.innerWidth - x),
+        height: Math.min(el.clientHeight, window.innerHeight - y)
+      };
+    }, { attribute: SCROLL_CONTAINER_ATTRIBUTE, top: offset });
+  }
+
+  // Wait for the images scrolled into view to finish loading, up to the transition timeout
+  async waitForScrollTileLoaded() {
+    const { transitionTimeoutMs, transitionPollMs } = config.capture;
+    try {
+      await this.page.waitForFunction(() => [...document.images].every(img => {
+        const rect = img.getBoundingClientRect();
+        const visible = rect.bottom > 0 && rect.top < window.innerHeight && rect.width > 0;
+        return !visible || (img.complete && img.naturalWidth > 0);
+      }), null, { timeout: transitionTimeoutMs, polling: transitionPollMs });
+    } catch (error) {
+      logger.warn('Scrolled content kept loading, capturing anyway', { timeoutMs: transitionTimeoutMs });
+    }
+    await this.page.waitForTimeout(transitionPollMs);
+  }
+
+  // Tops of the document's own pages inside the scroll container (CSS pixels), when the viewer marks them
+  async readScrollPageTops() {
+    try {
+      return await this.page.evaluate(({ attribute, pageSelectors }) => {
+        const container = document.querySelector(`[${attribute}]`);
+        const origin = container.getBoundingClientRect().top - container.scrollTop;
+
+        for (const selector of pageSelectors) {
+          let pages = [];
+          try {
+            pages = [...container.querySelectorAll(selector)];
+          } catch (e) {
+            continue;
+          }
+          if (pages.length > 1) {
+            return pages.map(page => Math.round(page.getBoundingClientRect().top - origin));
+          }
+        }
+        return [];
+      }, { attribute: SCROLL_CONTAINER_ATTRIBUTE, pageSelectors: this.profile.selectors.scrollPage || [] });
+    } catch (error) {
+      logger.warn('Failed to read scroll page boundaries', { error: error.message });
+      return [];
     }
   }
 
+  // Read the document title, sender / company name and last-updated info shown by the viewer.
+  // Returns { title, sender, updatedAt, url } with null for anything the layout doesn't show.
+  async extractMetadata(url) {
+    let scraped = {};
+    try {
+      scraped = await this.page.evaluate((selectors) => {
+        const readFirst = (list) => {
+          for (const selector of list) {
+            let element = null;
+            try {
+              element = document.querySelector(selector);
+            } catch (e) {
+              continue;
+            }
+            const value = element && (element.getAttribute('datetime') || element.textContent || '').trim();
+            if (value) return value;
+          }
+          return null;
+        };
+        const meta = (name) => document.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.content || null;
+        const bodyText = document.body?.innerText || '';
+
+        return {
+          title: readFirst(selectors.documentTitle) || meta('og:title') || document.title,
+          sender: readFirst(selectors.senderName) || (bodyText.match(/shared by:? ([^\n]{2,80})/i) || [])[1] || null,
+          updatedAt: readFirst(selectors.lastUpdated) || (bodyText.match(/last updated:? ([^\n]{3,40})/i) || [])[1] || null
+        };
+      }, {
+        documentTitle: this.profile.selectors.documentTitle,
+        senderName: this.profile.selectors.senderName,
+        lastUpdated: this.profile.selectors.lastUpdated
+      });
+    } catch (error) {
+      logger.warn('Failed to read document metadata', { error: error.message });
+    }
+
+    const clean = (value) => (value || '').replace(/\s+/g, ' ').trim().substring(0, 200) || null;
+    // Page titles look like "Deck name | DocSend"; a bare "DocSend" is no title at all
+    const title = clean((scraped.title || '').replace(/\s*[|–-]\s*DocSend\s*$/i, '').replace(/^DocSend\s*[|–-]\s*/i, ''));
+
+    const metadata = {
+      title: title && title.toLowerCase() !== 'docsend' ? title : null,
+      sender: clean(scraped.sender),
+      updatedAt: clean(scraped.updatedAt),
+      url: url.split('?')[0]
+    };
+    logger.info('Document metadata read', { title: metadata.title, sender: metadata.sender, updatedAt: metadata.updatedAt });
+    return metadata;
+  }
+
+  // Save a captured page to ./screenshots for debugging
+  saveDebugScreenshot(pageNum, data) {
+    const fs = require('fs');
+    const path = require('path');
+    const screenshotsDir = path.join(process.cwd(), 'screenshots');
+    if (!fs.existsSync(screenshotsDir)) {
+      fs.mkdirSync(screenshotsDir, { recursive: true });
+    }
+    const filename = `page-${pageNum.toString().padStart(2, '0')}.${getImageExtension(data)}`;
+    fs.writeFileSync(path.join(screenshotsDir, filename), data);
+    logger.info(`Screenshot saved locally: ${filename}`);
+  }
+
+  // Bundle the diagnostics recorded for this job into a redacted ZIP, or null when diagnostics are off
+  async collectDiagnostics(error) {
+    if (!this.diagnostics) {
+      return null;
+    }
+    return this.diagnostics.buildArchive(error, {
+      profile: { name: this.profile.name, version: this.profile.version },
+      currentPage: this.currentPage,
+      capturedPages: this.capturedPages.length,
+      failedPages: this.failedPages
+    });
+  }
+
   // Clean up resources
   async cleanup() {
+    this.closed = true;
+
+    // The lease goes back first, so nothing failing below can keep its pool slot.
+    // Closing the lease's context also closes its page; the browser stays in the pool.
+    const lease = this.lease;
+    this.lease = null;
+    this.page = null;
+    this.context = null;
+    this.browser = null;
     try {
-      if (this.page) {
-        await this.page.close();
-        this.page = null;
-      }
+      await this.browserPool.release(lease);
+    } catch (error) {
+      logger.error('Failed to release browser lease', { error: error.message });
+    }
+
+    try {
+      unregisterSecret(this.otp);
+      this.otp = null;
       
-      if (this.context) {
-        await this.context.close();
-        this.context = null;
-      }
+      this.pageImageUrls.clear();
+      this.imageResponses.clear();
+      this.mediaPosters.clear();
+      
+      // Tracing stopped with the context, this just drops the recorded steps
+      await this.diagnostics?.discard();
       
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
+      if (this.ownsPool) {
+        await this.browserPool.shutdown();
       }
       
       logger.info('Browser resources cleaned up');
@@ -752,7 +1815,7 @@ class DocSendService {
 
   // Redact URL for logging
   redactUrl(url) {
-    return url.replace(/(https?:\/\/docsend\.com\/view\/[a-zA-Z0-9]+)(\?[^\s]*)?/, '[DOCSEND_URL]');
+    return url.replace(/(https?:\/\/docsend\.com\/view\/(?:s\/)?[a-zA-Z0-9]+)(\?[^\s]*)?/, '[DOCSEND_URL]');
   }
 }
 
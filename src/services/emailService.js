@@ -3,11 +3,13 @@ const Imap = require('imap');
 const { simpleParser } = require('mailparser');
 const { config } = require('../config');
 const { logger } = require('../utils/logger');
+const { EmailProviderError, OtpTimeoutError } = require('../utils/errors');
 
 class EmailService {
-  constructor() {
-    this.credentials = config.docsend.emailCredentials;
-    this.provider = config.docsend.emailProvider;
+  // identity: { emailProvider, emailCredentials } of a viewer identity; defaults to the global inbox
+  constructor(identity = null) {
+    this.credentials = identity ? identity.emailCredentials : config.docsend.emailCredentials;
+    this.provider = identity ? identity.emailProvider : config.docsend.emailProvider;
     this.otpTimeout = config.email.otpTimeoutSeconds * 1000;
     this.otpPollInterval = config.email.otpPollIntervalMs;
   }
@@ -41,7 +43,7 @@ class EmailService {
   // Gmail API implementation
   async getOTPFromGmail() {
     if (!this.credentials || this.credentials.type !== 'gmail') {
-      throw new Error('Gmail credentials not configured');
+      throw new EmailProviderError('Gmail credentials not configured');
     }
 
     try {
@@ -89,7 +91,7 @@ class EmailService {
   // IMAP implementation
   async getOTPFromIMAP() {
     if (!this.credentials || this.credentials.type !== 'imap') {
-      throw new Error('IMAP credentials not configured');
+      throw new EmailProviderError('IMAP credentials not configured');
     }
 
     return new Promise((resolve, reject) => {
@@ -180,7 +182,7 @@ class EmailService {
             otp = await this.getOTPFromIMAP();
             break;
           default:
-            throw new Error(`Unsupported email provider: ${this.provider}`);
+            throw new EmailProviderError(`Unsupported email provider: ${this.provider}`);
         }
 
         if (otp) {
@@ -194,13 +196,16 @@ class EmailService {
       } catch (error) {
         logger.error('OTP retrieval error', { error: error.message, provider: this.provider });
         // Continue polling unless it's a fatal error
-        if (error.message.includes('credentials') || error.message.includes('authentication')) {
+        if (error instanceof EmailProviderError) {
           throw error;
         }
+        if (error.message.includes('authentication')) {
+          throw new EmailProviderError(error.message);
+        }
       }
     }
 
-    throw new Error('OTP retrieval timeout');
+    throw new OtpTimeoutError('OTP retrieval timeout');
   }
 
   // Test email connection
@@ -214,7 +219,7 @@ class EmailService {
           await this.getOTPFromIMAP();
           break;
         default:
-          throw new Error(`Unsupported email provider: ${this.provider}`);
+          throw new EmailProviderError(`Unsupported email provider: ${this.provider}`);
       }
       return true;
     } catch (error) {
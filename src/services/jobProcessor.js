@@ -1,16 +1,39 @@
 const { v4: uuidv4 } = require('uuid');
 const DocSendService = require('./docsendService');
+const BrowserPool = require('./browserPool');
 const PDFService = require('./pdfService');
 const SlackService = require('./slackService');
-const { logger, logJobProgress } = require('../utils/logger');
+const URLValidator = require('../utils/urlValidator');
+const ViewerIdentities = require('../utils/viewerIdentities');
+const { resolveCaptureProfile } = require('../utils/captureProfiles');
+const { resolvePdfStamp, formatCaptureTime } = require('../utils/pdfStamps');
+const { resolvePdfEncryption } = require('../utils/pdfEncryption');
+const { createZipArchive, sanitizeFilename } = require('../utils/archive');
+const { logger, logJobProgress, registerSecret, unregisterSecret } = require('../utils/logger');
 const { config } = require('../config');
+const {
+  InvalidUrlError,
+  TooManyPagesError,
+  SpaceEmptyError,
+  UploadFailedError,
+  JobTimeoutError,
+  JobAbortedError,
+  toConversionError
+} = require('../utils/errors');
+
+// How long the "Retry missing pages" button of a partial result keeps working
+const RETRY_REQUEST_TTL_MS = 24 * 60 * 60 * 1000;
+// Retries that hold a link passcode or PDF password are kept for less time
+const RETRY_REQUEST_WITH_SECRETS_TTL_MS = 60 * 60 * 1000;
 
 class JobProcessor {
   constructor() {
-    this.docSendService = new DocSendService();
+    this.browserPool = new BrowserPool();
     this.pdfService = new PDFService();
     this.slackService = new SlackService();
+    this.viewerIdentities = new ViewerIdentities();
     this.activeJobs = new Map();
+    this.retryRequests = new Map();
   }
 
   // Process a DocSend conversion job
@@ -18,13 +41,26 @@ class JobProcessor {
     const jobId = uuidv4();
     const startTime = Date.now();
     
+    // Keep the link passcode out of every log line while the job runs (the PDF password once it is resolved)
+    registerSecret(jobData.passcode);
+    let encryption = null;
+    
+    // Each job drives its own isolated context on the shared browser pool
+    const docSendService = new DocSendService(this.browserPool);
+    
+    // Every stage, from the browser launch to the upload, has to finish within TIMEOUT_SECONDS.
+    // The stages check the signal themselves, the job entry is gone once a timed-out job is cleaned up.
+    const abortController = new AbortController();
+    const deadline = this.startDeadline(jobId, config.rateLimiting.timeoutSeconds, abortController);
+    
     try {
-      // Initialize job tracking
+      // Initialize job tracking (without the passcode and PDF password)
       this.activeJobs.set(jobId, {
         id: jobId,
         status: 'initializing',
         startTime,
-        data: jobData
+        data: { ...jobData, passcode: undefined, pdfPassword: undefined },
+        docSendService
       });
 
       logJobProgress(jobId, 'started', { 
@@ -33,126 +69,619 @@ class JobProcessor {
         url: jobData.url 
       });
 
-      // Validate URL
-      this.validateDocSendUrl(jobData.url);
+      // Password-protect the output: pdfpassword=<password|auto> or the channel's default
+      encryption = resolvePdfEncryption({ channelId: jobData.channelId, requested: jobData.pdfPassword });
+      registerSecret(encryption && encryption.userPassword);
 
-      // Send acknowledgment (only if responseUrl exists)
-      if (jobData.responseUrl) {
-        await this.slackService.sendAcknowledgment(
-          jobData.responseUrl, 
-          '🔄 Converting your DocSend to PDF... This may take a few minutes.'
-        );
+      await Promise.race([
+        this.runJobStages(jobId, jobData, startTime, docSendService, { signal: abortController.signal, encryption }),
+        deadline.expired
+      ]);
+
+      // Update final job status
+      this.updateJobStatus(jobId, 'completed');
+
+    } catch (error) {
+      if (error instanceof JobTimeoutError) {
+        await this.handleJobTimeout(jobId, error, jobData, docSendService, encryption);
+        this.updateJobStatus(jobId, 'timed_out');
+      } else {
+        // Handle errors
+        await this.handleJobError(jobId, error, jobData);
+        this.updateJobStatus(jobId, 'failed');
       }
+    } finally {
+      // Cleanup
+      deadline.clear();
+      await this.cleanupJob(jobId);
+      unregisterSecret(jobData.passcode);
+      unregisterSecret(encryption && encryption.userPassword);
+    }
+  }
 
-      // Update job status
-      this.updateJobStatus(jobId, 'processing');
+  // Run the conversion stages of a job; checkDeadline stops them between stages once signal is aborted
+  async runJobStages(jobId, jobData, startTime, docSendService, { signal, encryption }) {
+    // Validate URL and requested pages
+    this.validateDocSendUrl(jobData.url);
+    const outOfRange = (jobData.pageNumbers || []).filter(pageNumber => pageNumber > config.rateLimiting.maxPages);
+    if (outOfRange.length > 0) {
+      throw new TooManyPagesError(outOfRange);
+    }
 
-      // Initialize browser
-      logJobProgress(jobId, 'browser_init', {});
-      await this.docSendService.initializeBrowser();
+    // Pick the viewer identity: as=<identity> (allowlisted users), the channel's identity or the default
+    const identity = this.viewerIdentities.resolve({
+      channelId: jobData.channelId,
+      userId: jobData.userId,
+      requested: jobData.identity
+    });
+    docSendService.useIdentity(identity);
 
-      // Navigate to DocSend
-      logJobProgress(jobId, 'navigating', {});
-      await this.docSendService.navigateToDocSend(jobData.url);
+    // Pick the capture profile: capture=<profile>, the channel's profile or CAPTURE_PROFILE
+    const captureProfile = resolveCaptureProfile({ requested: jobData.captureProfile, channelId: jobData.channelId });
+    docSendService.useCaptureProfile(captureProfile);
 
-      // Capture all pages
-      logJobProgress(jobId, 'capturing_pages', {});
-      const screenshots = await this.docSendService.captureAllPages(jobData.pageNumbers);
+    // Send acknowledgment (only if responseUrl exists)
+    if (jobData.responseUrl) {
+      await this.slackService.sendAcknowledgment(
+        jobData.responseUrl, 
+        '🔄 Converting your DocSend to PDF... This may take a few minutes.'
+      );
+    }
 
-      // Update job status
-      this.updateJobStatus(jobId, 'creating_pdf');
+    // Update job status
+    this.updateJobStatus(jobId, 'processing', { identity: identity.name, captureProfile: captureProfile.name });
+
+    // Initialize browser
+    logJobProgress(jobId, 'browser_init', {});
+    await docSendService.initializeBrowser();
 
-      // Create PDF
-      logJobProgress(jobId, 'creating_pdf', { pageCount: screenshots.length });
-      const pdfBuffer = await this.pdfService.createPDF(screenshots);
+    // Navigate to DocSend
+    this.checkDeadline(signal);
+    logJobProgress(jobId, 'navigating', {});
+    const isSpace = URLValidator.isSpaceURL(jobData.url);
+    await docSendService.navigateToDocSend(jobData.url, { passcode: jobData.passcode, space: isSpace });
+
+    if (isSpace) {
+      // Data rooms convert every document and report through one progress message
+      await this.processSpace(jobId, jobData, startTime, docSendService, { signal, encryption });
+      return;
+    }
+
+    // Capture all pages
+    this.checkDeadline(signal);
+    logJobProgress(jobId, 'capturing_pages', {});
+    const screenshots = await docSendService.captureAllPages(jobData.pageNumbers);
+
+    // Pages that failed every retry are placeholders in the PDF, with a button to retry just those
+    const missingPages = docSendService.failedPages;
+    const capturedCount = screenshots.length - missingPages.length;
+    const retryId = missingPages.length > 0 ? this.saveRetryRequest(jobData, missingPages) : null;
+    const missingLine = missingPages.length > 0 ?
+      `⚠️ **Missing pages:** ${missingPages.join(', ')} (marked with placeholder pages)\n` : '';
+    // Requested pages past the end of the deck make this a partial PDF of the pages that do exist
+    const outOfRangePages = docSendService.outOfRangePages || [];
+    const outOfRangeLine = outOfRangePages.length > 0 ?
+      `⚠️ **Not in the document:** pages ${outOfRangePages.join(', ')} are past its last page\n` : '';
+    const partialSuffix = outOfRangePages.length > 0 ? 'partial' : null;
+    const mediaLine = this.slackService.formatMediaLine(screenshots);
+
+    // Update job status
+    this.checkDeadline(signal);
+    this.updateJobStatus(jobId, 'creating_pdf', { missingPages });
+
+    // Create PDF
+    const metadata = docSendService.metadata;
+    logJobProgress(jobId, 'creating_pdf', { pageCount: screenshots.length, missingPages: missingPages.length });
+    const pdfBuffer = await this.pdfService.createPDF(screenshots, {
+      ocr: jobData.ocr,
+      metadata,
+      scale: captureProfile.deviceScaleFactor,
+      viewport: captureProfile.viewport,
+      encryption,
+      ...(await this.getStampOptions(jobData, docSendService, { metadata, screenshots }))
+    });
+    const compressionLine = this.slackService.formatCompressionLine(this.pdfService.getCompressionStats(
+      screenshots.reduce((total, page) => total + (page.data ? page.data.length : 0), 0),
+      pdfBuffer.length
+    ));
+    const protectionLine = encryption ? '🔐 **Password protected:** only the requester has the password\n' : '';
+    
+    // Debug: Log PDF buffer details
+    logger.info('PDF buffer details', {
+      type: typeof pdfBuffer,
+      isBuffer: Buffer.isBuffer(pdfBuffer),
+      length: pdfBuffer ? pdfBuffer.length : 'null/undefined',
+      constructor: pdfBuffer ? pdfBuffer.constructor.name : 'null/undefined'
+    });
+
+    // Check if PDF is within Slack limits
+    this.checkDeadline(signal);
+    if (this.pdfService.isWithinSlackLimit(pdfBuffer)) {
+      // Upload directly to Slack
+      logJobProgress(jobId, 'uploading_to_slack', {});
       
-      // Debug: Log PDF buffer details
-      logger.info('PDF buffer details', {
-        type: typeof pdfBuffer,
-        isBuffer: Buffer.isBuffer(pdfBuffer),
-        length: pdfBuffer ? pdfBuffer.length : 'null/undefined',
-        constructor: pdfBuffer ? pdfBuffer.constructor.name : 'null/undefined'
+      await this.slackService.uploadPDF(
+        jobData.channelId,
+        pdfBuffer,
+        this.getPdfFilename(metadata, partialSuffix),
+        jobData.url,
+        jobData.threadTs,
+        { title: `${this.getPdfTitle(metadata)}${partialSuffix ? ' (partial)' : ''}`, viewer: identity.name }
+      );
+
+      // Send success message
+      const fileSize = this.pdfService.getFileSizeMB(pdfBuffer);
+      await this.slackService.sendSuccessMessage(
+        jobData.channelId,
+        `✅ *DocSend PDF Generated Successfully!*\n\n` +
+        this.slackService.formatMetadataLines(metadata) +
+        `📄 **${capturedCount} pages** converted to PDF\n` +
+        missingLine +
+        outOfRangeLine +
+        mediaLine +
+        `📏 **File size:** ${fileSize} MB\n` +
+        compressionLine +
+        protectionLine +
+        `⏱️ **Processing time:** ${Math.round((Date.now() - startTime) / 1000)}s`,
+        jobData.threadTs,
+        retryId
+      );
+
+      logJobProgress(jobId, 'completed', { 
+        pageCount: capturedCount, 
+        missingPages,
+        fileSize,
+        duration: Date.now() - startTime 
       });
 
-      // Check if PDF is within Slack limits
-      if (this.pdfService.isWithinSlackLimit(pdfBuffer)) {
-        // Upload directly to Slack
-        logJobProgress(jobId, 'uploading_to_slack', {});
-        const filename = `docsend-${Date.now()}.pdf`;
-        
-        await this.slackService.uploadPDF(
-          jobData.channelId,
-          pdfBuffer,
-          filename,
-          jobData.url,
-          jobData.threadTs
-        );
-
-        // Send success message
-        const fileSize = this.pdfService.getFileSizeMB(pdfBuffer);
-        await this.slackService.sendSuccessMessage(
-          jobData.channelId,
-          `✅ *DocSend PDF Generated Successfully!*\n\n` +
-          `📄 **${screenshots.length} pages** converted to PDF\n` +
-          `📏 **File size:** ${fileSize} MB\n` +
-          `⏱️ **Processing time:** ${Math.round((Date.now() - startTime) / 1000)}s`,
-          jobData.threadTs
-        );
-
-        logJobProgress(jobId, 'completed', { 
-          pageCount: screenshots.length, 
-          fileSize,
-          duration: Date.now() - startTime 
-        });
+    } else {
+      // PDF is too large, upload to S3 and provide link
+      logJobProgress(jobId, 'uploading_to_s3', {});
+      const s3Url = await this.uploadToS3(pdfBuffer, jobId);
+      
+      await this.slackService.sendSuccessMessage(
+        jobData.channelId,
+        `✅ *DocSend PDF Generated Successfully!*\n\n` +
+        this.slackService.formatMetadataLines(metadata) +
+        `📄 **${capturedCount} pages** converted to PDF\n` +
+        missingLine +
+        outOfRangeLine +
+        mediaLine +
+        `📏 **File size:** ${this.pdfService.getFileSizeMB(pdfBuffer)} MB (too large for Slack)\n` +
+        compressionLine +
+        protectionLine +
+        `🔗 **Download:** ${s3Url}\n` +
+        `⏱️ **Processing time:** ${Math.round((Date.now() - startTime) / 1000)}s\n\n` +
+        `*Note: This link expires in 24 hours*`,
+        jobData.threadTs,
+        retryId
+      );
+
+      logJobProgress(jobId, 'completed_s3', { 
+        pageCount: capturedCount, 
+        missingPages,
+        s3Url,
+        duration: Date.now() - startTime 
+      });
+    }
+
+    await this.sendPdfPassword(jobData, encryption);
+  }
+
+  // Start the job-wide deadline. When it fires, abortController is aborted and expired rejects with a JOB_TIMEOUT error.
+  startDeadline(jobId, timeoutSeconds, abortController) {
+    let timer = null;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        abortController.abort();
+        const job = this.activeJobs.get(jobId);
+        const error = new JobTimeoutError(timeoutSeconds, job ? job.status.replace(/_/g, ' ') : null);
+        logger.warn('Job deadline reached, aborting', { jobId, timeoutSeconds });
+        reject(error);
+      }, timeoutSeconds * 1000);
+    });
+
+    return { expired, clear: () => clearTimeout(timer) };
+  }
+
+  // Stop a job that has passed its deadline before it starts another stage
+  checkDeadline(signal) {
+    if (signal.aborted) {
+      throw new JobAbortedError();
+    }
+  }
+
+  // Report the timeout, release the browser and deliver whatever pages were captured in time.
+  // The partial PDF gets its own PARTIAL_PDF_TIMEOUT_SECONDS, after which it is given up.
+  async handleJobTimeout(jobId, error, jobData, docSendService, encryption) {
+    const partialPages = URLValidator.isSpaceURL(jobData.url) ? [] : docSendService.capturedPages;
+    const capturedCount = partialPages.filter(page => !page.placeholder).length;
+
+    error.partialPages = capturedCount;
+    await this.handleJobError(jobId, error, jobData);
+
+    // Closing the context also makes any Playwright call still running in the job fail fast
+    await docSendService.cleanup();
+
+    if (capturedCount === 0) {
+      return;
+    }
+
+    const abortController = new AbortController();
+    const timeoutSeconds = config.rateLimiting.partialTimeoutSeconds;
+    let timer = null;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        abortController.abort();
+        reject(new Error(`Partial PDF not delivered within ${timeoutSeconds}s`));
+      }, timeoutSeconds * 1000);
+    });
+
+    try {
+      await Promise.race([
+        this.deliverPartialPdf(jobId, jobData, docSendService, partialPages, { signal: abortController.signal, encryption }),
+        expired
+      ]);
+    } catch (partialError) {
+      logger.error('Failed to deliver partial PDF', { jobId, error: partialError.message });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
 
+  // Build and upload the partial PDF of a timed-out job; signal stops it before the upload once its time is up
+  async deliverPartialPdf(jobId, jobData, docSendService, partialPages, { signal, encryption }) {
+    logJobProgress(jobId, 'creating_partial_pdf', { pageCount: partialPages.length });
+    // OCR is skipped so the partial PDF doesn't run much past the deadline
+    const metadata = docSendService.metadata;
+    const pdfBuffer = await this.pdfService.createPDF(partialPages, {
+      ocr: false,
+      metadata,
+      scale: docSendService.captureProfile.deviceScaleFactor,
+      viewport: docSendService.captureProfile.viewport,
+      encryption,
+      ...(await this.getStampOptions(jobData, docSendService, { metadata, screenshots: partialPages }))
+    });
+
+    this.checkDeadline(signal);
+    if (this.pdfService.isWithinSlackLimit(pdfBuffer)) {
+      await this.slackService.uploadPDF(
+        jobData.channelId,
+        pdfBuffer,
+        this.getPdfFilename(metadata, 'partial'),
+        jobData.url,
+        jobData.threadTs,
+        { title: `${this.getPdfTitle(metadata)} (partial)`, viewer: docSendService.identity?.name }
+      );
+    } else {
+      const s3Url = await this.uploadToS3(pdfBuffer, jobId);
+      this.checkDeadline(signal);
+      await this.slackService.sendSuccessMessage(
+        jobData.channelId,
+        `📎 *Partial PDF* (${partialPages.length} pages): ${s3Url}
+
+*Note: This link expires in 24 hours*`,
+        jobData.threadTs
+      );
+    }
+
+    await this.sendPdfPassword(jobData, encryption);
+    logJobProgress(jobId, 'partial_delivered', { pageCount: partialPages.length });
+  }
+
+  // Convert every document in a space / data room and deliver one combined PDF or a ZIP
+  async processSpace(jobId, jobData, startTime, docSendService, { signal, encryption }) {
+    logJobProgress(jobId, 'listing_space', {});
+    const allDocuments = await docSendService.listSpaceDocuments();
+    if (allDocuments.length === 0) {
+      throw new SpaceEmptyError('No documents found in this DocSend space');
+    }
+
+    const documents = allDocuments.slice(0, config.space.maxDocuments);
+    if (documents.length < allDocuments.length) {
+      logger.warn('Space has more documents than allowed, converting the first ones', {
+        jobId,
+        total: allDocuments.length,
+        maxDocuments: config.space.maxDocuments
+      });
+    }
+
+    const output = jobData.output || config.space.output;
+    const results = documents.map(document => ({ ...document, status: 'pending' }));
+    const progressMessage = await this.slackService.sendProgressMessage(
+      jobData.channelId,
+      this.formatSpaceProgress(results, allDocuments.length),
+      jobData.threadTs
+    );
+
+    const fileBuffer = await this.buildSpaceFile(jobId, jobData, results, docSendService, {
+      signal,
+      encryption,
+      output,
+      progressTs: progressMessage.ts,
+      totalDocuments: allDocuments.length
+    });
+    const converted = results.filter(result => result.status === 'done');
+    const extension = output === 'zip' ? 'zip' : 'pdf';
+    const filename = `docsend-space-${Date.now()}.${extension}`;
+
+    this.checkDeadline(signal);
+    let downloadLine = '';
+    if (this.pdfService.isWithinSlackLimit(fileBuffer)) {
+      logJobProgress(jobId, 'uploading_to_slack', {});
+      const viewer = docSendService.identity?.name;
+      if (output === 'zip') {
+        await this.slackService.uploadArchive(jobData.channelId, fileBuffer, filename, jobData.url, jobData.threadTs, { viewer });
       } else {
-        // PDF is too large, upload to S3 and provide link
-        logJobProgress(jobId, 'uploading_to_s3', {});
-        const s3Url = await this.uploadToS3(pdfBuffer, jobId);
-        
-        await this.slackService.sendSuccessMessage(
-          jobData.channelId,
-          `✅ *DocSend PDF Generated Successfully!*\n\n` +
-          `📄 **${screenshots.length} pages** converted to PDF\n` +
-          `📏 **File size:** ${this.pdfService.getFileSizeMB(pdfBuffer)} MB (too large for Slack)\n` +
-          `🔗 **Download:** ${s3Url}\n` +
-          `⏱️ **Processing time:** ${Math.round((Date.now() - startTime) / 1000)}s\n\n` +
-          `*Note: This link expires in 24 hours*`,
-          jobData.threadTs
-        );
-
-        logJobProgress(jobId, 'completed_s3', { 
-          pageCount: screenshots.length, 
-          s3Url,
-          duration: Date.now() - startTime 
+        await this.slackService.uploadPDF(jobData.channelId, fileBuffer, filename, jobData.url, jobData.threadTs, { viewer });
+      }
+    } else {
+      logJobProgress(jobId, 'uploading_to_s3', {});
+      const s3Url = await this.uploadToS3(fileBuffer, jobId, extension);
+      downloadLine = `🔗 **Download:** ${s3Url} (too large for Slack, expires in 24 hours)\n`;
+    }
+
+    const fileSize = this.pdfService.getFileSizeMB(fileBuffer);
+    this.checkDeadline(signal);
+    await this.updateSpaceProgress(
+      jobData.channelId,
+      progressMessage.ts,
+      results,
+      allDocuments.length,
+      `📏 **File size:** ${fileSize} MB (${output === 'zip' ? 'ZIP of PDFs' : 'combined PDF with bookmarks'})\n` +
+      downloadLine +
+      `⏱️ **Processing time:** ${Math.round((Date.now() - startTime) / 1000)}s`
+    );
+    await this.sendPdfPassword(jobData, encryption);
+
+    logJobProgress(jobId, 'completed_space', {
+      documents: converted.length,
+      failed: results.length - converted.length,
+      fileSize,
+      duration: Date.now() - startTime
+    });
+  }
+
+  // Capture each document of a space and build the file to deliver. Every document goes into the combined PDF
+  // (or its own PDF for the ZIP) as soon as it is captured, so only one document's screenshots are held at a time.
+  async buildSpaceFile(jobId, jobData, results, docSendService, { signal, encryption, output, progressTs, totalDocuments }) {
+    const archiveEntries = [];
+    const combined = output === 'zip' ? null : await this.pdfService.startCombinedPDF({
+      ocr: jobData.ocr,
+      scale: docSendService.captureProfile.deviceScaleFactor,
+      viewport: docSendService.captureProfile.viewport,
+      documentCount: results.length,
+      stamp: resolvePdfStamp(jobData.channelId)
+    });
+
+    try {
+      for (const result of results) {
+        this.checkDeadline(signal);
+        let screenshots = null;
+        try {
+          logJobProgress(jobId, 'capturing_document', { document: results.indexOf(result) + 1, total: results.length });
+          await docSendService.navigateToDocSend(result.url, { passcode: jobData.passcode });
+          screenshots = await docSendService.captureAllPages(null);
+          result.pageCount = screenshots.length;
+          result.missingPages = [...docSendService.failedPages];
+          result.pages = screenshots.map(({ pageNumber, placeholder }) => ({ pageNumber, placeholder }));
+
+          this.checkDeadline(signal);
+          if (output === 'zip') {
+            const pdfBuffer = await this.pdfService.createPDF(screenshots, {
+              ocr: jobData.ocr,
+              metadata: docSendService.metadata,
+              scale: docSendService.captureProfile.deviceScaleFactor,
+              viewport: docSendService.captureProfile.viewport,
+              encryption,
+              ...(await this.getStampOptions(jobData, docSendService, { metadata: docSendService.metadata, screenshots }))
+            });
+            const folders = result.folderPath.map(folder => sanitizeFilename(folder));
+            archiveEntries.push({
+              path: [...folders, `${sanitizeFilename(result.name)}.pdf`].join('/'),
+              data: pdfBuffer
+            });
+          }
+          result.status = 'done';
+        } catch (error) {
+          // Past the deadline it is the job that failed, not the document
+          this.checkDeadline(signal);
+          logger.warn('Failed to convert space document', { jobId, document: result.name, error: error.message });
+          result.status = 'failed';
+          result.error = error.message;
+        }
+
+        // A failure here leaves the combined PDF half-written, so it fails the job
+        this.checkDeadline(signal);
+        if (combined && result.status === 'done') {
+          await this.pdfService.addCombinedDocument(combined, {
+            name: result.name,
+            folderPath: result.folderPath,
+            screenshots
+          });
+        }
+
+        this.checkDeadline(signal);
+        await this.updateSpaceProgress(jobData.channelId, progressTs, results, totalDocuments);
+      }
+
+      const converted = results.filter(result => result.status === 'done');
+      if (converted.length === 0) {
+        throw new SpaceEmptyError('None of the documents in this DocSend space could be converted');
+      }
+
+      this.checkDeadline(signal);
+      this.updateJobStatus(jobId, 'creating_pdf');
+      logJobProgress(jobId, 'creating_pdf', { documents: converted.length, output });
+
+      if (output === 'zip') {
+        return await createZipArchive(archiveEntries);
+      }
+      return await this.pdfService.finishCombinedPDF(combined, {
+          encryption,
+          ...(await this.getStampOptions(jobData, docSendService, {
+            screenshots: converted.flatMap(result => result.pages)
+          }))
         });
+    } finally {
+      if (combined) {
+        await this.pdfService.closeCombinedPDF(combined);
       }
+    }
+  }
 
-      // Update final job status
-      this.updateJobStatus(jobId, 'completed');
+  // Format the single progress summary for a space job
+  formatSpaceProgress(results, totalDocuments, footer = null) {
+    const finished = results.filter(result => result.status !== 'pending').length;
+    const icons = { pending: '⏳', done: '✅', failed: '❌' };
+    const header = footer ?
+      `✅ *DocSend Data Room Converted*\n\n` :
+      `🔄 *Converting DocSend Data Room* (${finished}/${results.length} documents)\n\n`;
+
+    const lines = results.map(result => {
+      const name = [...result.folderPath, result.name].join(' / ');
+      if (result.status === 'done') {
+        const missing = result.missingPages?.length ? `, missing ${result.missingPages.join(', ')}` : '';
+        return `${icons.done} ${name} (${result.pageCount} pages${missing})`;
+      }
+      if (result.status === 'failed') return `${icons.failed} ${name} - ${result.error}`;
+      return `${icons.pending} ${name}`;
+    });
+
+    let message = header + lines.join('\n');
+    if (totalDocuments > results.length) {
+      message += `\n\n⚠️ Only the first ${results.length} of ${totalDocuments} documents were converted.`;
+    }
+    if (footer) {
+      message += `\n\n${footer}`;
+    }
+    return message;
+  }
 
+  // Update the space progress message, without failing the job if Slack rejects the edit
+  async updateSpaceProgress(channelId, messageTs, results, totalDocuments, footer = null) {
+    try {
+      await this.slackService.updateMessage(channelId, messageTs, this.formatSpaceProgress(results, totalDocuments, footer));
     } catch (error) {
-      // Handle errors
-      await this.handleJobError(jobId, error, jobData);
-      this.updateJobStatus(jobId, 'failed');
-    } finally {
-      // Cleanup
-      await this.cleanupJob(jobId);
+      logger.warn('Failed to update space progress message', { error: error.message });
     }
   }
 
+  // File name for a converted document: "<sender> - <title>.pdf" when the viewer showed them
+  getPdfFilename(metadata, suffix = null) {
+    const name = metadata ? [metadata.sender, metadata.title].filter(Boolean).join(' - ') : '';
+    const base = name ? sanitizeFilename(name) : `docsend-${Date.now()}`;
+    return `${base}${suffix ? ` (${suffix})` : ''}.pdf`;
+  }
+
+  // Slack file title for a converted document
+  getPdfTitle(metadata) {
+    if (!metadata || !metadata.title) {
+      return 'DocSend PDF';
+    }
+    return metadata.sender ? `${metadata.title} (${metadata.sender})` : metadata.title;
+  }
+
+  // Header/footer settings for the job's channel plus the provenance shown in them and on the cover page
+  async getStampOptions(jobData, docSendService, { url = jobData.url, metadata = null, screenshots = [] } = {}) {
+    const stamp = resolvePdfStamp(jobData.channelId);
+    // The requester's name is a Slack API call, only made when the cover page or a template shows it
+    const showsRequester = stamp.cover || [stamp.header, stamp.footer].some(template => (template || '').includes('{requester}'));
+    return {
+      stamp,
+      provenance: {
+        url: (metadata && metadata.url) || url,
+        title: metadata && metadata.title,
+        sender: metadata && metadata.sender,
+        updatedAt: metadata && metadata.updatedAt,
+        capturedAt: formatCaptureTime(new Date()),
+        requester: showsRequester ? await this.slackService.getUserName(jobData.userId) : null,
+        identity: docSendService.identity ? docSendService.identity.name : 'default',
+        captureProfile: docSendService.captureProfile.name,
+        pageCount: screenshots.filter(page => !page.placeholder).length,
+        missingPages: screenshots.filter(page => page.placeholder).map(page => page.pageNumber)
+      }
+    };
+  }
+
+  // Privately remind the requester of a protected PDF's password; a failure here doesn't fail the delivered job
+  async sendPdfPassword(jobData, encryption) {
+    if (!encryption) {
+      return;
+    }
+
+    try {
+      await this.slackService.sendPdfPassword(
+        jobData.channelId,
+        jobData.userId,
+        encryption.shareWithRequester ? encryption.userPassword : null,
+        jobData.threadTs
+      );
+    } catch (error) {
+      logger.warn('Could not send the PDF password to the requester', { channelId: jobData.channelId, error: error.message });
+    }
+  }
+
+  // Keep what a "Retry missing pages" click needs to start a job for just those pages.
+  // The passcode stays here rather than in the Slack button. Returns the retry ID.
+  saveRetryRequest(jobData, pageNumbers) {
+    this.pruneRetryRequests();
+
+    const retryId = uuidv4();
+    const holdsSecrets = Boolean(jobData.passcode || jobData.pdfPassword);
+    this.retryRequests.set(retryId, {
+      userId: jobData.userId,
+      jobData: { ...jobData, pageNumbers, responseUrl: null },
+      expiresAt: Date.now() + (holdsSecrets ? RETRY_REQUEST_WITH_SECRETS_TTL_MS : RETRY_REQUEST_TTL_MS)
+    });
+    return retryId;
+  }
+
+  // Drop expired retry requests, and the passcodes they hold
+  pruneRetryRequests() {
+    const now = Date.now();
+    for (const [retryId, request] of this.retryRequests) {
+      if (request.expiresAt <= now) {
+        this.retryRequests.delete(retryId);
+      }
+    }
+  }
+
+  // User who requested the job behind a retry button, null when unknown or expired
+  getRetryOwner(retryId) {
+    this.pruneRetryRequests();
+    const request = this.retryRequests.get(retryId);
+    return request ? request.userId : null;
+  }
+
+  // Claim a retry request for its requester (each button starts one job); null when unknown, expired
+  // or requested by someone else, whose click must not reuse the original passcode or PDF password
+  takeRetryRequest(retryId, userId) {
+    this.pruneRetryRequests();
+    const request = this.retryRequests.get(retryId);
+    if (!request || request.userId !== userId) {
+      return null;
+    }
+    this.retryRequests.delete(retryId);
+    return request.jobData;
+  }
+
   // Validate DocSend URL
   validateDocSendUrl(url) {
-    const docsendPattern = /^https?:\/\/docsend\.com\/view\/[a-zA-Z0-9]+(\/[a-zA-Z0-9\/]+)?(\?[^\s]*)?$/;
-    
-    if (!docsendPattern.test(url)) {
-      throw new Error('Invalid DocSend URL. Please provide a valid URL in the format: https://docsend.com/view/...\n\nSupported formats:\n• https://docsend.com/view/abc123\n• https://docsend.com/view/abc123/d/xyz789');
+    if (!URLValidator.isSupportedURL(url)) {
+      throw new InvalidUrlError();
     }
   }
 
   // Handle job errors
   async handleJobError(jobId, error, jobData) {
-    logJobProgress(jobId, 'error', { error: error.message });
+    const conversionError = toConversionError(error);
+    const job = this.activeJobs.get(jobId);
+    if (job) {
+      job.errorCode = conversionError.code;
+    }
+
+    logJobProgress(jobId, 'error', { error: error.message, code: conversionError.code, retryable: conversionError.retryable });
 
     // Log the error
     logger.error('Job processing failed', {
@@ -160,6 +689,9 @@ class JobProcessor {
       userId: jobData.userId,
       channelId: jobData.channelId,
       url: jobData.url,
+      code: conversionError.code,
+      retryable: conversionError.retryable,
+      identity: job?.identity,
       error: error.message,
       stack: error.stack
     });
@@ -168,7 +700,7 @@ class JobProcessor {
     try {
       await this.slackService.sendErrorMessage(
         jobData.channelId,
-        error,
+        conversionError,
         jobData.url,
         jobData.threadTs
       );
@@ -179,6 +711,32 @@ class JobProcessor {
         originalError: error.message
       });
     }
+
+    await this.sendDiagnostics(jobId, conversionError, jobData);
+  }
+
+  // Upload the job's trace and step screenshots when diagnostics are enabled
+  async sendDiagnostics(jobId, error, jobData) {
+    const job = this.activeJobs.get(jobId);
+    if (!job || !job.docSendService) {
+      return;
+    }
+
+    try {
+      const archive = await job.docSendService.collectDiagnostics(error);
+      if (!archive) {
+        return;
+      }
+      await this.slackService.uploadDiagnostics(
+        jobData.userId,
+        archive,
+        `docsend-diagnostics-${jobId.substring(0, 8)}.zip`,
+        error.message
+      );
+      logJobProgress(jobId, 'diagnostics_sent', { size: archive.length });
+    } catch (diagnosticsError) {
+      logger.error('Failed to send diagnostics', { jobId, error: diagnosticsError.message });
+    }
   }
 
   // Cleanup job resources
@@ -186,8 +744,8 @@ class JobProcessor {
     try {
       const job = this.activeJobs.get(jobId);
       if (job) {
-        // Cleanup browser resources
-        await this.docSendService.cleanup();
+        // Return the job's browser context to the pool
+        await job.docSendService.cleanup();
         
         // Remove from active jobs
         this.activeJobs.delete(jobId);
@@ -212,8 +770,8 @@ class JobProcessor {
     }
   }
 
-  // Upload large PDF to S3
-  async uploadToS3(pdfBuffer, jobId) {
+  // Upload large PDF (or ZIP) to S3
+  async uploadToS3(pdfBuffer, jobId, extension = 'pdf') {
     try {
       // This would integrate with AWS S3
       // For now, return a placeholder URL
@@ -224,10 +782,10 @@ class JobProcessor {
       // 2. Generate pre-signed URL with 24h expiry
       // 3. Return the pre-signed URL
       
-      return `https://example-s3-bucket.s3.amazonaws.com/docsend-${jobId}.pdf?expires=${Date.now() + 24 * 60 * 60 * 1000}`;
+      return `https://example-s3-bucket.s3.amazonaws.com/docsend-${jobId}.${extension}?expires=${Date.now() + 24 * 60 * 60 * 1000}`;
     } catch (error) {
       logger.error('S3 upload failed', { jobId, error: error.message });
-      throw new Error('Failed to upload PDF to cloud storage');
+      throw new UploadFailedError('Failed to upload PDF to cloud storage', error);
     }
   }
 
@@ -246,7 +804,7 @@ class JobProcessor {
     const job = this.activeJobs.get(jobId);
     if (job && job.status === 'processing') {
       try {
-        await this.docSendService.cleanup();
+        await job.docSendService.cleanup();
         this.updateJobStatus(jobId, 'cancelled');
         logger.info('Job cancelled', { jobId });
         return true;
@@ -258,17 +816,31 @@ class JobProcessor {
     return false;
   }
 
+  // Launch pooled browsers ahead of the first job
+  async warmUp() {
+    await this.browserPool.warmUp();
+  }
+
+  // Close every pooled browser
+  async shutdown() {
+    await this.browserPool.shutdown();
+  }
+
   // Get job statistics
   getJobStats() {
     const jobs = Array.from(this.activeJobs.values());
     const stats = {
       total: jobs.length,
       byStatus: {},
+      byErrorCode: {},
       averageDuration: 0
     };
 
     jobs.forEach(job => {
       stats.byStatus[job.status] = (stats.byStatus[job.status] || 0) + 1;
+      if (job.errorCode) {
+        stats.byErrorCode[job.errorCode] = (stats.byErrorCode[job.errorCode] || 0) + 1;
+      }
       
       if (job.status === 'completed' && job.startTime) {
         const duration = Date.now() - job.startTime;
@@ -276,6 +848,8 @@ class JobProcessor {
       }
     });
 
+    stats.browserPool = this.browserPool.getStatus();
+
     return stats;
   }
 }
@@ -0,0 +1,120 @@
+const { createWorker } = require('tesseract.js');
+const engData = require('@tesseract.js-data/eng');
+const sharp = require('sharp');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+
+class OCRService {
+  constructor() {
+    this.worker = null;
+    this.startupFailed = false;
+    this.startupTimeout = config.ocr.startupTimeoutMs;
+    this.pageTimeout = config.ocr.pageTimeoutMs;
+    this.minConfidence = config.ocr.minConfidence;
+  }
+
+  // Start a local Tesseract (WASM) worker with the bundled English data, no network needed.
+  // Startup has its own time budget; a worker that only comes up after it is shut down again.
+  async getWorker() {
+    if (this.worker) {
+      return this.worker;
+    }
+
+    let timer = null;
+    const starting = createWorker(engData.code, 1, {
+      langPath: engData.langPath,
+      gzip: engData.gzip,
+      cacheMethod: 'none'
+    });
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('OCR worker startup timed out')), this.startupTimeout);
+    });
+
+    try {
+      this.worker = await Promise.race([starting, timeout]);
+    } catch (error) {
+      // Don't wait for the startup budget again on every remaining page
+      this.startupFailed = true;
+      starting
+        .then(worker => worker.terminate())
+        .then(() => logger.info('Late OCR worker terminated'))
+        .catch(() => {});
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    logger.info('OCR worker started');
+    return this.worker;
+  }
+
+  // Recognize words on a page image within the per-page time budget. The budget starts once the
+  // worker is ready, so loading the language data doesn't count against the first page.
+  // Returns text items in the same fractional (0-1) coordinates as the DOM text layer.
+  async recognizePage(imageBuffer, pageNumber) {
+    const startTime = Date.now();
+    let timer = null;
+
+    if (this.startupFailed) {
+      return [];
+    }
+
+    try {
+      const { width, height } = await sharp(imageBuffer).metadata();
+      const worker = await this.getWorker();
+
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('OCR page time budget exceeded')), this.pageTimeout);
+      });
+      const result = await Promise.race([worker.recognize(imageBuffer), timeout]);
+
+      const items = result.data.words
+        .filter(word => word.confidence >= this.minConfidence && word.text.trim())
+        .map(word => ({
+          text: word.text.trim(),
+          x: word.bbox.x0 / width,
+          y: word.bbox.y0 / height,
+          width: (word.bbox.x1 - word.bbox.x0) / width,
+          height: (word.bbox.y1 - word.bbox.y0) / height
+        }));
+
+      logger.info('OCR completed for page', {
+        pageNumber,
+        words: items.length,
+        duration: Date.now() - startTime
+      });
+
+      return items;
+    } catch (error) {
+      logger.warn('OCR failed for page, continuing without text layer', {
+        pageNumber,
+        error: error.message,
+        duration: Date.now() - startTime
+      });
+      // A timed-out recognition keeps the worker busy, so start fresh for the next page
+      await this.terminate();
+      return [];
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Shut down the worker
+  async terminate() {
+    if (!this.worker) {
+      return;
+    }
+
+    const worker = this.worker;
+    this.worker = null;
+
+    try {
+      await worker.terminate();
+      logger.info('OCR worker terminated');
+    } catch (error) {
+      logger.warn('Failed to terminate OCR worker', { error: error.message });
+    }
+  }
+}
+
+module.exports = OCRService;
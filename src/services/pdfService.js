@@ -1,65 +1,419 @@
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, PDFHexString, PDFName, PDFString, StandardFonts, rgb } = require('pdf-lib');
 const sharp = require('sharp');
 const { config } = require('../config');
 const { logger } = require('../utils/logger');
+const { detectImageFormat } = require('../utils/imageFormat');
+const { describeMedia } = require('../utils/mediaEmbeds');
+const { findHeading } = require('../utils/pageHeadings');
+const { renderStampTemplate } = require('../utils/pdfStamps');
+const { encryptPdfDocument } = require('../utils/pdfEncryption');
+const { ConversionError, PdfGenerationError } = require('../utils/errors');
+const OCRService = require('./ocrService');
+
+// Compression steps tried in order until the PDF fits its size budget.
+// quality caps PDF_COMPRESSION_QUALITY (null keeps it and leaves viewer images untouched),
+// resolution scales the page pixel budget.
+const COMPRESSION_STEPS = [
+  { quality: null, resolution: 1 },
+  { quality: 75, resolution: 1 },
+  { quality: 60, resolution: 0.75 },
+  { quality: 45, resolution: 0.6 },
+  { quality: 35, resolution: 0.5 }
+];
 
 class PDFService {
   constructor() {
     this.pageSize = config.pdf.pageSize;
+    this.pageMode = config.pdf.pageMode;
     this.dpi = config.pdf.dpi;
     this.compressionQuality = config.pdf.compressionQuality;
   }
 
   // Convert screenshots to PDF
-  async createPDF(screenshots) {
+  // Options: ocr - recognize text on pages without DOM text (defaults to OCR_ENABLED)
+  //          metadata - { title, sender, updatedAt, url } scraped from the viewer, written to the info dictionary
+  //          scale - device scale factor the pages were captured at; screenshots keep that many pixels per point
+  //          viewport - { width, height } of the capture, sizes placeholder and cover pages in fit mode when no page was captured
+  //          targetSizeBytes - size budget, compression is stepped up until the PDF fits (defaults to PDF_TARGET_SIZE_MB)
+  //          stamp - { header, footer, label, cover } from resolvePdfStamp
+  //          provenance - { url, title, sender, updatedAt, capturedAt, requester, identity, captureProfile, pageCount, missingPages }
+  //                       shown on the cover page and available to the header/footer templates
+  //          encryption - { userPassword, ownerPassword, permissions } from resolvePdfEncryption to password-protect the file
+  async createPDF(screenshots, options = {}) {
+    const useOcr = options.ocr ?? config.ocr.enabled;
+    const ocrService = useOcr ? new OCRService() : null;
+
     try {
       logger.info('Starting PDF creation', { 
         pageCount: screenshots.length, 
         pageSize: this.pageSize,
-        dpi: this.dpi 
+        dpi: this.dpi,
+        ocr: useOcr
       });
 
-      const pdfDoc = await PDFDocument.create();
-      
-      for (let i = 0; i < screenshots.length; i++) {
-        const screenshot = screenshots[i];
-        logger.info('Processing page for PDF', { 
-          pageNumber: screenshot.pageNumber, 
-          totalPages: screenshots.length 
+      const state = {
+        ocrService,
+        ocrText: new WeakMap(),
+        scale: options.scale || 1,
+        viewport: options.viewport,
+        bands: this.getStampBands(options.stamp)
+      };
+      return await this.buildWithinBudget(options.targetSizeBytes, async (compression) => {
+        const pdfDoc = await PDFDocument.create();
+        const pageState = { ...state, textFont: null, compression };
+        this.applyMetadata(pdfDoc, options.metadata);
+        const coverPages = await this.addCoverPage(pdfDoc, pageState, options, screenshots);
+        const pages = await this.addCapturedPages(pdfDoc, screenshots, pageState);
+        await this.addHeaderFooter(pdfDoc, pageState, options, coverPages);
+        this.addOutline(pdfDoc, this.buildPageOutline(pages));
+        return this.savePDF(pdfDoc, options.encryption);
+      });
+    } catch (error) {
+      logger.error('Failed to create PDF', { error: error.message });
+      throw error instanceof ConversionError ? error : new PdfGenerationError(`Failed to create PDF: ${error.message}`, error);
+    } finally {
+      if (ocrService) {
+        await ocrService.terminate();
+      }
+    }
+  }
+
+  // Start a PDF combining several documents (e.g. a data room), with a bookmark per document nested under
+  // its folders. Documents are added with addCombinedDocument as they are captured, so their screenshots can be
+  // dropped straight away; finishCombinedPDF adds the cover, header/footer and outline and saves the file.
+  // Options: those of createPDF except metadata, plus documentCount - how many documents will be added.
+  // stamp is needed here already, paper pages leave room for its header and footer.
+  // Pages are encoded as they arrive, so a size budget can't re-encode them: instead later documents move to
+  // the next compression step while the pages so far are over their share of the budget.
+  async startCombinedPDF(options = {}) {
+    const useOcr = options.ocr ?? config.ocr.enabled;
+    logger.info('Starting combined PDF creation', {
+      documentCount: options.documentCount,
+      pageSize: this.pageSize,
+      ocr: useOcr
+    });
+
+    return {
+      pdfDoc: await PDFDocument.create(),
+      outline: [],
+      documentsAdded: 0,
+      coverScreenshots: [],
+      budget: options.targetSizeBytes ?? config.pdf.targetSizeMb * 1024 * 1024,
+      documentCount: options.documentCount || 1,
+      state: {
+        ocrService: useOcr ? new OCRService() : null,
+        ocrText: new WeakMap(),
+        textFont: null,
+        scale: options.scale || 1,
+        viewport: options.viewport,
+        compression: COMPRESSION_STEPS[0],
+        imageBytes: 0,
+        bands: this.getStampBands(options.stamp)
+      }
+    };
+  }
+
+  // Add a captured document to a combined PDF. Document: { name, folderPath, screenshots }
+  async addCombinedDocument(combined, document) {
+    try {
+      const { pdfDoc, state } = combined;
+
+      // The first captured page gives the cover its shape in fit mode
+      if (combined.coverScreenshots.length === 0) {
+        combined.coverScreenshots = document.screenshots.filter(screenshot => !screenshot.placeholder).slice(0, 1);
+      }
+
+      const pageIndex = pdfDoc.getPageCount();
+      const pages = await this.addCapturedPages(pdfDoc, document.screenshots, state);
+      this.addOutlineEntry(combined.outline, document.folderPath || [], {
+        title: document.name,
+        pageIndex,
+        children: this.buildPageOutline(pages)
+      });
+      combined.documentsAdded++;
+
+      const share = combined.budget * combined.documentsAdded / combined.documentCount;
+      const step = COMPRESSION_STEPS.indexOf(state.compression);
+      if (combined.budget && state.imageBytes > share && step < COMPRESSION_STEPS.length - 1) {
+        state.compression = COMPRESSION_STEPS[step + 1];
+        logger.info('Combined PDF over its size budget share, compressing later documents further', {
+          size: state.imageBytes,
+          share: Math.round(share),
+          nextStep: state.compression
         });
+      }
+    } catch (error) {
+      logger.error('Failed to add document to combined PDF', { error: error.message });
+      throw error instanceof ConversionError ? error : new PdfGenerationError(`Failed to create combined PDF: ${error.message}`, error);
+    }
+  }
+
+  // Add the cover, header/footer and outline to a combined PDF and save it.
+  // Options: stamp, provenance and encryption as for createPDF.
+  async finishCombinedPDF(combined, options = {}) {
+    try {
+      const { pdfDoc } = combined;
+      const coverPages = await this.addCoverPage(pdfDoc, combined.state, options, combined.coverScreenshots);
+      await this.addHeaderFooter(pdfDoc, combined.state, options, coverPages);
+      this.addOutline(pdfDoc, combined.outline, coverPages);
+
+      const pdfBuffer = await this.savePDF(pdfDoc, options.encryption);
+      if (combined.budget && pdfBuffer.length > combined.budget) {
+        logger.warn('Combined PDF is over its size budget', { size: pdfBuffer.length, budget: combined.budget });
+      }
+      return pdfBuffer;
+    } catch (error) {
+      logger.error('Failed to create combined PDF', { error: error.message });
+      throw error instanceof ConversionError ? error : new PdfGenerationError(`Failed to create combined PDF: ${error.message}`, error);
+    } finally {
+      await this.closeCombinedPDF(combined);
+    }
+  }
+
+  // Release what a combined PDF holds (the OCR worker), also when it is abandoned before finishing
+  async closeCombinedPDF(combined) {
+    const { ocrService } = combined.state;
+    combined.state.ocrService = null;
+    if (ocrService) {
+      await ocrService.terminate();
+    }
+  }
+
+  // Build a PDF with each compression step in turn until it fits targetSizeBytes (0 disables the budget).
+  // The last step's PDF is returned even if it is still too large.
+  async buildWithinBudget(targetSizeBytes, build) {
+    const budget = targetSizeBytes ?? config.pdf.targetSizeMb * 1024 * 1024;
+
+    for (let step = 0; step < COMPRESSION_STEPS.length; step++) {
+      const pdfBuffer = await build(COMPRESSION_STEPS[step]);
+      if (!budget || pdfBuffer.length <= budget) {
+        return pdfBuffer;
+      }
+      if (step === COMPRESSION_STEPS.length - 1) {
+        logger.warn('PDF still over size budget at the strongest compression', { size: pdfBuffer.length, budget });
+        return pdfBuffer;
+      }
+      logger.info('PDF over size budget, compressing further', {
+        size: pdfBuffer.length,
+        budget,
+        nextStep: COMPRESSION_STEPS[step + 1]
+      });
+    }
+  }
+
+  // Add captured pages to a PDF document.
+  // State is shared across calls: { ocrService, ocrText, textFont, scale, viewport, compression, imageBytes, bands }
+  // (the font is embedded on first use, OCR results are kept for later compression passes,
+  // imageBytes totals the encoded page images).
+  // Returns the added pages as [{ pageIndex, pageNumber, heading }] for the outline.
+  async addCapturedPages(pdfDoc, screenshots, state) {
+    const pages = [];
+    for (let i = 0; i < screenshots.length; i++) {
+      const screenshot = screenshots[i];
+      logger.info('Processing page for PDF', { 
+        pageNumber: screenshot.pageNumber, 
+        totalPages: screenshots.length 
+      });
 
-        // Process image with Sharp
-        const processedImage = await this.processImage(screenshot.data);
-        
-        // Add page to PDF
-        const page = await this.addPageToPDF(pdfDoc, processedImage, screenshot.pageNumber);
-        
-        logger.info('Page added to PDF', { pageNumber: screenshot.pageNumber });
+      // Pages that could not be captured keep their place in the document
+      if (screenshot.placeholder) {
+        if (!state.textFont) {
+          state.textFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        }
+        pages.push({ pageIndex: pdfDoc.getPageCount(), pageNumber: screenshot.pageNumber, heading: null });
+        const pageDimensions = await this.getStandInPageDimensions(screenshots, i, state);
+        this.addPlaceholderPage(pdfDoc, screenshot.pageNumber, state.textFont, pageDimensions);
+        continue;
       }
 
-      // Generate final PDF
-      const pdfBytes = await pdfDoc.save();
+      // Process image with Sharp (original viewer images keep their native resolution)
+      const processedImage = await this.processImage(screenshot.data, {
+        nativeResolution: screenshot.source === 'network',
+        scale: state.scale,
+        compression: state.compression
+      });
+      state.imageBytes = (state.imageBytes || 0) + processedImage.length;
       
-      // Convert Uint8Array to Buffer for Slack compatibility
-      const pdfBuffer = Buffer.from(pdfBytes);
+      // Image-only slides have no DOM text, fall back to OCR when enabled
+      let textItems = screenshot.text || [];
+      if (state.ocrService && textItems.length === 0) {
+        if (!state.ocrText.has(screenshot)) {
+          state.ocrText.set(screenshot, await state.ocrService.recognizePage(screenshot.data, screenshot.pageNumber));
+        }
+        textItems = state.ocrText.get(screenshot);
+      }
       
-      logger.info('PDF created successfully', { 
-        size: pdfBytes.length, 
-        pageCount: screenshots.length,
-        bufferSize: pdfBuffer.length,
-        isBuffer: Buffer.isBuffer(pdfBuffer)
+      // Font for the invisible text layer and media badges, only embedded once there is text to write
+      const media = screenshot.media || [];
+      if ((textItems.length > 0 || media.length > 0) && !state.textFont) {
+        state.textFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      }
+      
+      // Add page to PDF (image-only slides take their heading from the OCR text)
+      pages.push({
+        pageIndex: pdfDoc.getPageCount(),
+        pageNumber: screenshot.pageNumber,
+        heading: screenshot.heading || findHeading(textItems)
+      });
+      await this.addPageToPDF(pdfDoc, processedImage, screenshot.pageNumber, {
+        textItems,
+        font: state.textFont,
+        media,
+        bands: state.bands,
+        // Original slide images don't include the embed, so its frame is drawn in from the viewer
+        drawPosters: screenshot.source === 'network'
       });
+      
+      logger.info('Page added to PDF', { pageNumber: screenshot.pageNumber });
+    }
+    return pages;
+  }
 
-      return pdfBuffer;
-    } catch (error) {
-      logger.error('Failed to create PDF', { error: error.message });
-      throw error;
+  // Outline entries with one bookmark per page, titled by its heading or "Page N".
+  // Section-divider pages are top-level entries holding the pages that follow them
+  // (except the first page, which is usually a short title slide rather than a divider).
+  buildPageOutline(pages) {
+    const outline = [];
+    let section = null;
+
+    for (const page of pages) {
+      const entry = {
+        title: (page.heading && page.heading.title) || `Page ${page.pageNumber}`,
+        pageIndex: page.pageIndex,
+        children: []
+      };
+      if (page.heading && page.heading.section && outline.length > 0) {
+        section = entry;
+        outline.push(entry);
+      } else if (section) {
+        section.children.push(entry);
+      } else {
+        outline.push(entry);
+      }
     }
+    return outline;
   }
 
-  // Process image with Sharp for optimization
-  async processImage(imageBuffer) {
+  // Fill the PDF info dictionary (Title, Author, Subject, Keywords) from the document metadata
+  applyMetadata(pdfDoc, metadata) {
+    if (!metadata) {
+      return;
+    }
+
+    if (metadata.title) {
+      pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+    }
+    if (metadata.sender) {
+      pdfDoc.setAuthor(metadata.sender);
+    }
+    const updated = metadata.updatedAt ? ` (last updated ${metadata.updatedAt})` : '';
+    pdfDoc.setSubject(`Converted from DocSend: ${metadata.url}${updated}`);
+    pdfDoc.setKeywords(['DocSend', metadata.sender, metadata.url].filter(Boolean));
+    pdfDoc.setCreator('docsend-bot');
+  }
+
+  // Serialize the document to a Buffer, password-protected when encryption settings are given
+  async savePDF(pdfDoc, encryption = null) {
+    if (encryption) {
+      await encryptPdfDocument(pdfDoc, encryption);
+      logger.info('PDF encrypted', { permissions: encryption.permissions });
+    }
+
+    // Object streams are built while saving, after encryption, so encrypted files go without them
+    const pdfBytes = await pdfDoc.save({ useObjectStreams: !encryption });
+    
+    // Convert Uint8Array to Buffer for Slack compatibility
+    const pdfBuffer = Buffer.from(pdfBytes);
+    
+    logger.info('PDF created successfully', { 
+      size: pdfBytes.length, 
+      pageCount: pdfDoc.getPageCount(),
+      bufferSize: pdfBuffer.length,
+      isBuffer: Buffer.isBuffer(pdfBuffer)
+    });
+
+    return pdfBuffer;
+  }
+
+  // Insert an outline entry under its folder path, creating folder entries as needed.
+  // A folder bookmark points at the first page of its first document.
+  addOutlineEntry(outline, folderPath, entry) {
+    let level = outline;
+    for (const folder of folderPath) {
+      let folderEntry = level.find(item => item.isFolder && item.title === folder);
+      if (!folderEntry) {
+        folderEntry = { title: folder, pageIndex: entry.pageIndex, children: [], isFolder: true };
+        level.push(folderEntry);
+      }
+      level = folderEntry.children;
+    }
+    level.push({ title: entry.title, pageIndex: entry.pageIndex, children: entry.children || [] });
+  }
+
+  // Write a PDF outline (bookmarks pane) from nested entries: [{ title, pageIndex, children }].
+  // firstPageIndex offsets the entries' page indexes, for pages inserted in front after they were built.
+  addOutline(pdfDoc, entries, firstPageIndex = 0) {
+    if (!entries || entries.length === 0) {
+      return;
+    }
+
+    const context = pdfDoc.context;
+    const pageRefs = pdfDoc.getPages().map(page => page.ref);
+    const outlineRef = context.nextRef();
+
+    // Build one level of sibling items and return its first/last refs and visible item count
+    const buildLevel = (items, parentRef) => {
+      const refs = items.map(() => context.nextRef());
+      let count = 0;
+
+      items.forEach((item, index) => {
+        const pageRef = pageRefs[Math.min(item.pageIndex + firstPageIndex, pageRefs.length - 1)];
+        const dict = {
+          Title: PDFHexString.fromText(item.title),
+          Parent: parentRef,
+          Dest: [pageRef, 'XYZ', null, null, null]
+        };
+        if (index > 0) dict.Prev = refs[index - 1];
+        if (index < items.length - 1) dict.Next = refs[index + 1];
+
+        if (item.children && item.children.length > 0) {
+          const childLevel = buildLevel(item.children, refs[index]);
+          dict.First = childLevel.first;
+          dict.Last = childLevel.last;
+          dict.Count = childLevel.count;
+          count += childLevel.count;
+        }
+
+        context.assign(refs[index], context.obj(dict));
+        count++;
+      });
+
+      return { first: refs[0], last: refs[refs.length - 1], count };
+    };
+
+    const topLevel = buildLevel(entries, outlineRef);
+    context.assign(outlineRef, context.obj({
+      Type: 'Outlines',
+      First: topLevel.first,
+      Last: topLevel.last,
+      Count: topLevel.count
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+    logger.info('PDF outline added', { entries: topLevel.count });
+  }
+
+  // Process image with Sharp for optimization.
+  // Options: nativeResolution - keep the viewer's original image unless a compression step asks for less
+  //          scale - device scale factor of the capture
+  //          compression - step from COMPRESSION_STEPS
+  // The first step (always used without a size budget) keeps pages lossless PNG. Lossy steps encode each page
+  // as both a palette PNG and a JPEG and keep the smaller one: flat slides compress best as PNG, photo-like ones as JPEG.
+  async processImage(imageBuffer, options = {}) {
     try {
+      const compression = options.compression || COMPRESSION_STEPS[0];
       const image = sharp(imageBuffer);
       const metadata = await image.metadata();
       
@@ -69,25 +423,62 @@ class PDFService {
         format: metadata.format 
       });
 
-      // Calculate target dimensions based on page size and DPI
-      const targetDimensions = this.calculateTargetDimensions(metadata.width, metadata.height);
+      if (options.nativeResolution && !compression.quality) {
+        // PNG and JPEG embed as-is; anything else (e.g. WebP) is converted losslessly
+        const nativeImage = ['png', 'jpeg'].includes(metadata.format) ?
+          imageBuffer :
+          await image.png({ compressionLevel: 9 }).toBuffer();
+
+        logger.info('Image kept at native resolution', { 
+          width: metadata.width, 
+          height: metadata.height, 
+          size: nativeImage.length 
+        });
+
+        return nativeImage;
+      }
+
+      // Calculate target dimensions based on page size and DPI, keeping the pixels of high-DPI captures
+      const targetDimensions = this.calculateTargetDimensions(
+        metadata.width,
+        metadata.height,
+        (options.scale || 1) * compression.resolution
+      );
+      const quality = Math.min(this.compressionQuality, compression.quality || this.compressionQuality);
       
-      // Resize and optimize image
-      const processedImage = await image
+      const resized = image
         .resize(targetDimensions.width, targetDimensions.height, {
           fit: 'inside',
           withoutEnlargement: true,
           background: { r: 255, g: 255, b: 255, alpha: 1 }
-        })
-        .png({ 
-          quality: this.compressionQuality,
-          compressionLevel: 9
-        })
-        .toBuffer();
+        });
+
+      let processedImage;
+      let format = 'png';
+      if (!compression.quality) {
+        processedImage = await resized
+          .png({ 
+            quality: this.compressionQuality,
+            compressionLevel: 9
+          })
+          .toBuffer();
+      } else {
+        const png = await resized.clone()
+          .png({ compressionLevel: 9, palette: true, quality })
+          .toBuffer();
+        const jpeg = await resized.clone()
+          .flatten({ background: { r: 255, g: 255, b: 255 } })
+          .jpeg({ quality, mozjpeg: true })
+          .toBuffer();
+        processedImage = jpeg.length < png.length ? jpeg : png;
+        format = processedImage === jpeg ? 'jpeg' : 'png';
+      }
 
       logger.info('Image processed successfully', { 
         originalSize: imageBuffer.length,
         processedSize: processedImage.length,
+        format,
+        quality,
         targetDimensions
       });
 
@@ -98,9 +489,15 @@ class PDFService {
     }
   }
 
-  // Calculate target dimensions for PDF page
-  calculateTargetDimensions(originalWidth, originalHeight) {
-    const pageDimensions = this.getPageDimensions();
+  // Calculate target dimensions for PDF page. Scale multiplies the pixel budget (e.g. 2 for a 2x capture)
+  // while the image still fits the same page box. In fit mode the box is a square on the paper's long side,
+  // so portrait, landscape and square images all get the same budget for their long side.
+  calculateTargetDimensions(originalWidth, originalHeight, scale = 1) {
+    const basePage = this.getPageDimensions();
+    const longSide = Math.max(basePage.width, basePage.height);
+    const pageDimensions = this.pageMode === 'fit' ?
+      { width: longSide * scale, height: longSide * scale, aspectRatio: 1 } :
+      { width: basePage.width * scale, height: basePage.height * scale, aspectRatio: basePage.aspectRatio };
     const aspectRatio = originalWidth / originalHeight;
     
     let targetWidth, targetHeight;
@@ -163,19 +560,29 @@ class PDFService {
   }
 
   // Add a page to the PDF document
-  async addPageToPDF(pdfDoc, imageBuffer, pageNumber) {
+  async addPageToPDF(pdfDoc, imageBuffer, pageNumber, options = {}) {
     try {
-      // Create page with calculated dimensions
-      const pageDimensions = this.getPageDimensions();
+      // Convert image to PDF format
+      const image = await this.embedImage(pdfDoc, imageBuffer);
+      const imageDimensions = this.calculateTargetDimensions(image.width, image.height);
+      
+      // Fit mode sizes each page to its own image; paper mode uses the fixed page size
+      const pageDimensions = this.pageMode === 'fit' ?
+        { width: imageDimensions.width, height: imageDimensions.height } :
+        this.getPageDimensions();
       const page = pdfDoc.addPage([pageDimensions.width, pageDimensions.height]);
       
-      // Convert image to PDF format
-      const image = await pdfDoc.embedPng(imageBuffer);
+      // Paper pages keep the header/footer bands clear, shrinking the image into the space between them
+      const bands = this.pageMode === 'fit' || !options.bands ? { top: 0, bottom: 0 } : options.bands;
+      const contentHeight = pageDimensions.height - bands.top - bands.bottom;
+      if (imageDimensions.height > contentHeight) {
+        imageDimensions.width = Math.round(imageDimensions.width * contentHeight / imageDimensions.height);
+        imageDimensions.height = contentHeight;
+      }
       
       // Calculate image positioning (center on page)
-      const imageDimensions = this.calculateTargetDimensions(image.width, image.height);
       const x = (pageDimensions.width - imageDimensions.width) / 2;
-      const y = (pageDimensions.height - imageDimensions.height) / 2;
+      const y = bands.bottom + (contentHeight - imageDimensions.height) / 2;
       
       // Draw image on page
       page.drawImage(image, {
@@ -185,9 +592,16 @@ class PDFService {
         height: imageDimensions.height
       });
       
-      // Add page number (optional)
-      if (config.pdf.showPageNumbers) {
-        this.addPageNumber(page, pageNumber, pageDimensions);
+      const imageBox = { x, y, width: imageDimensions.width, height: imageDimensions.height };
+      
+      // Add invisible text layer so the page can be searched and copied
+      if (options.font && options.textItems && options.textItems.length > 0) {
+        this.addTextLayer(page, options.textItems, options.font, imageBox);
+      }
+      
+      // Mark embedded video / interactive content that a static page cannot show
+      if (options.font && options.media && options.media.length > 0) {
+        await this.addMediaBadges(pdfDoc, page, options.media, options.font, imageBox, options.drawPosters);
       }
       
       logger.info('Page added to PDF successfully', { 
@@ -203,22 +617,318 @@ class PDFService {
     }
   }
 
-  // Add page number to PDF page
-  addPageNumber(page, pageNumber, pageDimensions) {
-    try {
-      const fontSize = Math.round(this.dpi * 0.1); // Scale font size with DPI
-      const text = `Page ${pageNumber}`;
-      
+  // Size for a page with no image of its own (placeholder or cover page). Paper mode uses the paper size;
+  // fit mode takes the shape of the nearest captured page (earlier pages first), else of the capture viewport.
+  async getStandInPageDimensions(screenshots, index, state) {
+    if (this.pageMode !== 'fit') {
+      return this.getPageDimensions();
+    }
+
+    const order = screenshots
+      .map((screenshot, position) => ({ screenshot, distance: Math.abs(position - index) + (position > index ? 0.5 : 0) }))
+      .filter(({ screenshot }) => !screenshot.placeholder && screenshot.data)
+      .sort((a, b) => a.distance - b.distance);
+    for (const { screenshot } of order) {
+      try {
+        const { width, height } = await sharp(screenshot.data).metadata();
+        return this.calculateTargetDimensions(width, height);
+      } catch (error) {
+        logger.warn('Could not read neighbouring page size', { pageNumber: screenshot.pageNumber, error: error.message });
+      }
+    }
+
+    if (state.viewport) {
+      return this.calculateTargetDimensions(state.viewport.width, state.viewport.height);
+    }
+    return this.getPageDimensions();
+  }
+
+  // Add a page marking a slide that could not be captured
+  addPlaceholderPage(pdfDoc, pageNumber, font, pageDimensions = this.getPageDimensions()) {
+    const page = pdfDoc.addPage([pageDimensions.width, pageDimensions.height]);
+
+    page.drawRectangle({
+      x: 0,
+      y: 0,
+      width: pageDimensions.width,
+      height: pageDimensions.height,
+      color: rgb(0.95, 0.95, 0.95)
+    });
+
+    const lines = [
+      { text: `Page ${pageNumber} could not be captured`, size: Math.round(this.dpi * 0.3) },
+      { text: 'Use the retry button in Slack to convert the missing pages', size: Math.round(this.dpi * 0.15) }
+    ];
+    let y = pageDimensions.height / 2 + lines[1].size;
+    for (const line of lines) {
+      // Narrow fit-mode pages may not hold the whole line
+      const text = this.fitText(font, line.text, line.size, pageDimensions.width * 0.9);
       page.drawText(text, {
-        x: pageDimensions.width - 100,
-        y: 20,
-        size: fontSize,
-        color: { r: 0.5, g: 0.5, b: 0.5, alpha: 0.7 }
+        x: (pageDimensions.width - font.widthOfTextAtSize(text, line.size)) / 2,
+        y,
+        size: line.size,
+        font,
+        color: rgb(0.4, 0.4, 0.4)
       });
-    } catch (error) {
-      logger.warn('Failed to add page number', { pageNumber, error: error.message });
-      // Don't fail the entire process for page numbers
+      y -= line.size * 2;
+    }
+
+    logger.info('Placeholder page added to PDF', { pageNumber });
+    return page;
+  }
+
+  // Draw invisible text over the page image, lined up with where each word sits on the slide.
+  // Text items use fractional coordinates (0-1, origin top-left) of the image box.
+  addTextLayer(page, textItems, font, imageBox) {
+    const supportedChars = new Set(font.getCharacterSet());
+    let drawnItems = 0;
+
+    for (const item of textItems) {
+      // Standard fonts only cover WinAnsi, drop characters they cannot encode
+      const text = Array.from(item.text)
+        .filter(char => supportedChars.has(char.codePointAt(0)))
+        .join('');
+      if (!text) continue;
+
+      const boxWidth = item.width * imageBox.width;
+      const boxHeight = item.height * imageBox.height;
+      const widthAtSizeOne = font.widthOfTextAtSize(text, 1);
+      if (!widthAtSizeOne || !boxHeight) continue;
+
+      // Size the text to span the word's box so search highlights line up
+      const size = Math.max(1, Math.min(boxWidth / widthAtSizeOne, boxHeight * 1.2));
+
+      try {
+        page.drawText(text, {
+          x: imageBox.x + item.x * imageBox.width,
+          y: imageBox.y + imageBox.height - (item.y + item.height) * imageBox.height + boxHeight * 0.2,
+          size,
+          font,
+          opacity: 0
+        });
+        drawnItems++;
+      } catch (error) {
+        // Skip words that still fail to encode
+      }
+    }
+
+    logger.info('Text layer added to page', { textItems: textItems.length, drawnItems });
+  }
+
+  // Draw a badge over each media embed (with its poster frame when asked) and make the embed's box a link to its source.
+  // Media boxes use fractional coordinates (0-1, origin top-left) of the image box, like text items.
+  async addMediaBadges(pdfDoc, page, media, font, imageBox, drawPosters = false) {
+    const size = Math.round(this.dpi * 0.1);
+    const padding = size * 0.5;
+
+    for (const item of media) {
+      const box = {
+        x: imageBox.x + item.x * imageBox.width,
+        y: imageBox.y + imageBox.height - (item.y + item.height) * imageBox.height,
+        width: item.width * imageBox.width,
+        height: item.height * imageBox.height
+      };
+
+      if (drawPosters && item.poster) {
+        try {
+          page.drawImage(await this.embedImage(pdfDoc, item.poster), box);
+        } catch (error) {
+          logger.warn('Failed to draw media poster frame', { error: error.message });
+        }
+      }
+
+      const label = describeMedia(item);
+      const text = `${label.charAt(0).toUpperCase()}${label.slice(1)}${item.link ? ' - click to open' : ''}`;
+      const badgeHeight = size + padding * 2;
+      page.drawRectangle({
+        x: box.x,
+        y: box.y + box.height - badgeHeight,
+        width: font.widthOfTextAtSize(text, size) + padding * 2,
+        height: badgeHeight,
+        color: rgb(0.1, 0.1, 0.1),
+        opacity: 0.8
+      });
+      page.drawText(text, {
+        x: box.x + padding,
+        y: box.y + box.height - badgeHeight + padding + size * 0.2,
+        size,
+        font,
+        color: rgb(1, 1, 1)
+      });
+
+      if (item.link) {
+        this.addLinkAnnotation(pdfDoc, page, box, item.link);
+      }
+    }
+
+    logger.info('Media badges added to page', { media: media.length });
+  }
+
+  // Make a rectangle of the page a clickable link to url
+  addLinkAnnotation(pdfDoc, page, box, url) {
+    const annotation = pdfDoc.context.register(pdfDoc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [box.x, box.y, box.x + box.width, box.y + box.height],
+      Border: [0, 0, 0],
+      A: { Type: 'Action', S: 'URI', URI: PDFString.of(url) }
+    }));
+    page.node.addAnnot(annotation);
+  }
+
+  // Embed a PNG or JPEG buffer in the PDF document
+  async embedImage(pdfDoc, imageBuffer) {
+    if (detectImageFormat(imageBuffer) === 'jpeg') {
+      return pdfDoc.embedJpg(imageBuffer);
+    }
+    return pdfDoc.embedPng(imageBuffer);
+  }
+
+  // Add a cover page summarizing where the capture came from, when the stamp asks for one.
+  // Returns the number of pages added so the header/footer numbering can skip them.
+  // The cover always goes in front of the pages already added. In fit mode it takes the shape of the
+  // first captured page in screenshots.
+  async addCoverPage(pdfDoc, state, { stamp, provenance } = {}, screenshots = []) {
+    if (!stamp || !stamp.cover || !provenance) {
+      return 0;
+    }
+    if (!state.textFont) {
+      state.textFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    }
+
+    const font = state.textFont;
+    const pageDimensions = await this.getStandInPageDimensions(screenshots, 0, state);
+    const page = pdfDoc.insertPage(0, [pageDimensions.width, pageDimensions.height]);
+    const margin = Math.round(this.dpi * 0.75);
+    const size = Math.round(this.dpi * 0.12);
+    let y = pageDimensions.height - margin;
+
+    const drawLine = (text, textSize, color) => {
+      const line = this.fitText(font, text, textSize, pageDimensions.width - margin * 2);
+      if (!line) return;
+      y -= textSize;
+      page.drawText(line, { x: margin, y, size: textSize, font, color });
+      y -= textSize * 0.8;
+    };
+
+    if (stamp.label) {
+      drawLine(stamp.label.toUpperCase(), size, rgb(0.7, 0.1, 0.1));
+    }
+    drawLine(provenance.title || 'DocSend document', Math.round(this.dpi * 0.3), rgb(0.1, 0.1, 0.1));
+    y -= size;
+
+    const missing = provenance.missingPages && provenance.missingPages.length > 0 ?
+      ` (missing: ${provenance.missingPages.join(', ')})` : '';
+    const rows = [
+      ['Shared by', provenance.sender],
+      ['Last updated', provenance.updatedAt],
+      ['Source', provenance.url],
+      ['Captured', provenance.capturedAt],
+      ['Requested by', provenance.requester],
+      ['Viewer identity', provenance.identity],
+      ['Capture profile', provenance.captureProfile],
+      ['Pages', provenance.pageCount !== undefined ? `${provenance.pageCount}${missing}` : null]
+    ];
+    for (const [name, value] of rows) {
+      if (value) {
+        drawLine(`${name}: ${value}`, size, rgb(0.3, 0.3, 0.3));
+      }
     }
+
+    logger.info('Cover page added to PDF');
+    return 1;
+  }
+
+  // Heights of the header and footer bands a stamp needs (0 where it has no template), and their text size
+  getStampBands(stamp) {
+    const size = Math.round(this.dpi * 0.08);
+    const band = size * 2.5;
+    return {
+      size,
+      top: stamp && stamp.header ? band : 0,
+      bottom: stamp && stamp.footer ? band : 0
+    };
+  }
+
+  // Stamp the header and footer templates on every page after the cover, in bands that never cover the slide:
+  // paper pages left them clear when the slide was drawn, fit-mode pages grow by a band above and below.
+  // {page} and {pages} count from the first captured page.
+  async addHeaderFooter(pdfDoc, state, { stamp, provenance } = {}, firstPageIndex = 0) {
+    if (!stamp || (!stamp.header && !stamp.footer)) {
+      return;
+    }
+    if (!state.textFont) {
+      state.textFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    }
+
+    const font = state.textFont;
+    const pages = pdfDoc.getPages().slice(firstPageIndex);
+    const { size, top, bottom } = this.getStampBands(stamp);
+    const color = rgb(0.4, 0.4, 0.4);
+
+    pages.forEach((page, index) => {
+      const values = {
+        url: null,
+        title: null,
+        sender: null,
+        capturedAt: null,
+        requester: null,
+        ...provenance,
+        label: stamp.label,
+        page: index + 1,
+        pages: pages.length
+      };
+      const { width, height } = page.getSize();
+      const header = this.fitText(font, renderStampTemplate(stamp.header, values), size, width - size * 2);
+      const footer = this.fitText(font, renderStampTemplate(stamp.footer, values), size, width - size * 2);
+
+      // Where the bands start: inside the page in paper mode, outside the slide in fit mode
+      let headerBase = height - top;
+      let footerBase = 0;
+      if (this.pageMode === 'fit') {
+        page.setMediaBox(0, -bottom, width, height + bottom + top);
+        headerBase = height;
+        footerBase = -bottom;
+      }
+
+      if (header) {
+        page.drawText(header, {
+          x: (width - font.widthOfTextAtSize(header, size)) / 2,
+          y: headerBase + (top - size) / 2 + size * 0.2,
+          size,
+          font,
+          color
+        });
+      }
+      if (footer) {
+        page.drawText(footer, {
+          x: (width - font.widthOfTextAtSize(footer, size)) / 2,
+          y: footerBase + (bottom - size) / 2 + size * 0.2,
+          size,
+          font,
+          color
+        });
+      }
+    });
+
+    logger.info('Header and footer added to PDF', { pages: pages.length });
+  }
+
+  // Text the font can encode, shortened with "..." to fit maxWidth at the given size
+  fitText(font, text, size, maxWidth) {
+    const supportedChars = new Set(font.getCharacterSet());
+    let line = Array.from(text || '')
+      .filter(char => supportedChars.has(char.codePointAt(0)))
+      .join('')
+      .trim();
+
+    if (font.widthOfTextAtSize(line, size) <= maxWidth) {
+      return line;
+    }
+    while (line.length > 0 && font.widthOfTextAtSize(`${line}...`, size) > maxWidth) {
+      line = line.slice(0, -1);
+    }
+    return line ? `${line}...` : '';
   }
 
   // Get PDF file size in MB
@@ -232,8 +942,11 @@ class PDFService {
     return pdfBytes.length <= maxSizeBytes;
   }
 
-  // Get compression statistics
+  // Get compression statistics, null when nothing was captured to compare against (e.g. only placeholder pages)
   getCompressionStats(originalSize, finalSize) {
+    if (!originalSize) {
+      return null;
+    }
     const compressionRatio = ((originalSize - finalSize) / originalSize * 100).toFixed(2);
     return {
       originalSizeMB: (originalSize / (1024 * 1024)).toFixed(2),
@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+
+// Saves Playwright storage state (cookies/localStorage) per viewer email so repeat
+// conversions skip the email and OTP gates. Sessions are encrypted at rest with
+// security.encryptionKey and expire after the configured TTL.
+class SessionStore {
+  constructor(options = {}) {
+    const sessionConfig = { ...config.sessions, ...options };
+    this.directory = sessionConfig.directory;
+    this.ttlMs = sessionConfig.ttlHours * 60 * 60 * 1000;
+    this.encryptionKey = options.encryptionKey || config.security.encryptionKey;
+    // A TTL of 0 turns reuse off
+    this.enabled = sessionConfig.enabled && Boolean(this.encryptionKey) && this.ttlMs > 0;
+
+    if (sessionConfig.enabled && !this.encryptionKey) {
+      logger.warn('Session persistence disabled: ENCRYPTION_KEY is not configured');
+    }
+  }
+
+  // Load the saved storage state for a viewer email, or null if missing, expired or unreadable
+  async load(email) {
+    if (!this.enabled || !email) {
+      return null;
+    }
+
+    const filePath = this.getSessionPath(email);
+    let session;
+    try {
+      session = this.decrypt(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Discarding unreadable saved session', { error: error.message });
+        await this.remove(email);
+      }
+      return null;
+    }
+
+    if (session.email !== email || Date.now() > session.expiresAt) {
+      logger.info('Saved session expired', { savedAt: new Date(session.savedAt).toISOString() });
+      await this.remove(email);
+      return null;
+    }
+
+    logger.info('Loaded saved DocSend session', { cookies: session.storageState.cookies?.length || 0 });
+    return session.storageState;
+  }
+
+  // Encrypt and save the storage state for a viewer email, restarting its TTL
+  async save(email, storageState) {
+    if (!this.enabled || !email) {
+      return false;
+    }
+
+    try {
+      const now = Date.now();
+      const payload = this.encrypt({
+        email,
+        savedAt: now,
+        expiresAt: now + this.ttlMs,
+        storageState
+      });
+
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      const filePath = this.getSessionPath(email);
+      // Write then rename so concurrent jobs never read a half-written file
+      const tempPath = `${filePath}.${process.pid}.${now}.tmp`;
+      await fs.writeFile(tempPath, payload, { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+
+      logger.info('Saved DocSend session', { cookies: storageState.cookies?.length || 0 });
+      return true;
+    } catch (error) {
+      logger.warn('Failed to save DocSend session', { error: error.message });
+      return false;
+    }
+  }
+
+  // Drop the saved session for a viewer email
+  async remove(email) {
+    if (!email) {
+      return;
+    }
+
+    try {
+      await fs.unlink(this.getSessionPath(email));
+      logger.info('Removed saved DocSend session');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to remove saved DocSend session', { error: error.message });
+      }
+    }
+  }
+
+  // Session files are named by a hash so the email never appears on disk in clear text
+  getSessionPath(email) {
+    const hash = crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  // Derive a 256-bit key from the configured encryption key
+  getKey() {
+    return crypto.createHash('sha256').update(String(this.encryptionKey)).digest();
+  }
+
+  // Encrypt a value as JSON: { iv, tag, data } in base64
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, this.getKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    });
+  }
+
+  // Decrypt a value written by encrypt(); throws if the key is wrong or the file was tampered with
+  decrypt(payload) {
+    const { iv, tag, data } = JSON.parse(payload);
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, this.getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+  }
+}
+
+module.exports = SessionStore;
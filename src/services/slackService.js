@@ -1,10 +1,35 @@
 const { WebClient } = require('@slack/web-api');
 const { config } = require('../config');
-const { logger } = require('../utils/logger');
+const { logger, redactSecrets } = require('../utils/logger');
+const { UploadFailedError, JobTimeoutError, toConversionError } = require('../utils/errors');
+const { describeMedia } = require('../utils/mediaEmbeds');
+
+// Action ID of the button that retries the missing pages of a partial result
+const RETRY_MISSING_PAGES_ACTION = 'retry_missing_pages';
 
 class SlackService {
   constructor() {
     this.client = new WebClient(config.slack.botToken);
+    this.userNames = new Map();
+  }
+
+  // Display name of a Slack user for PDF provenance, falling back to the user ID.
+  // Failed lookups are cached as the ID too, so an unknown user costs one API call.
+  async getUserName(userId) {
+    if (!userId) {
+      return null;
+    }
+    if (!this.userNames.has(userId)) {
+      try {
+        const result = await this.client.users.info({ user: userId });
+        const { profile = {}, real_name: realName, name } = result.user || {};
+        this.userNames.set(userId, profile.display_name || realName || name || userId);
+      } catch (error) {
+        logger.warn('Failed to look up Slack user name', { userId, error: error.message });
+        this.userNames.set(userId, userId);
+      }
+    }
+    return this.userNames.get(userId);
   }
 
   // Send immediate acknowledgment response
@@ -34,8 +59,8 @@ class SlackService {
     }
   }
 
-  // Upload PDF to Slack channel
-  async uploadPDF(channelId, pdfBuffer, filename, originalUrl, threadTs = null) {
+  // Upload PDF to Slack channel. Options: title - Slack file title, viewer - name of the viewer identity used
+  async uploadPDF(channelId, pdfBuffer, filename, originalUrl, threadTs = null, { title = 'DocSend PDF', viewer = null } = {}) {
     try {
       // Debug: Log what we received
       logger.info('PDF buffer received in Slack service', {
@@ -56,8 +81,8 @@ class SlackService {
         channels: channelId,
         file: pdfBuffer,
         filename: filename,
-        title: 'DocSend PDF',
-        initial_comment: this.formatUploadComment(originalUrl),
+        title: title,
+        initial_comment: this.formatUploadComment(originalUrl, viewer),
         thread_ts: threadTs ? String(threadTs) : undefined
       };
 
@@ -76,6 +101,128 @@ class SlackService {
         channelId, 
         filename 
       });
+      throw new UploadFailedError(`Slack upload failed: ${error.message}`, error);
+    }
+  }
+
+  // Upload a ZIP of converted documents to Slack channel
+  async uploadArchive(channelId, zipBuffer, filename, originalUrl, threadTs = null, { viewer = null } = {}) {
+    try {
+      logger.info('Uploading archive to Slack', { 
+        channelId, 
+        filename, 
+        size: zipBuffer.length,
+        threadTs 
+      });
+
+      const result = await this.client.files.uploadV2({
+        channels: channelId,
+        file: zipBuffer,
+        filename: filename,
+        title: 'DocSend Data Room',
+        initial_comment: this.formatUploadComment(originalUrl, viewer),
+        thread_ts: threadTs ? String(threadTs) : undefined
+      });
+      
+      logger.info('Archive uploaded successfully', { 
+        fileId: result.file?.id,
+        channelId,
+        filename 
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to upload archive to Slack', { 
+        error: error.message, 
+        channelId, 
+        filename 
+      });
+      throw new UploadFailedError(`Slack upload failed: ${error.message}`, error);
+    }
+  }
+
+  // Send a failure diagnostics archive privately: to the admin channel if configured, otherwise as a DM to the user
+  async uploadDiagnostics(userId, zipBuffer, filename, errorMessage) {
+    try {
+      let channelId = config.debug.diagnosticsChannel;
+      if (!channelId) {
+        const conversation = await this.client.conversations.open({ users: userId });
+        channelId = conversation.channel.id;
+      }
+
+      logger.info('Uploading diagnostics to Slack', { channelId, filename, size: zipBuffer.length });
+
+      const result = await this.client.files.uploadV2({
+        channels: channelId,
+        file: zipBuffer,
+        filename: filename,
+        title: 'DocSend Conversion Diagnostics',
+        initial_comment: redactSecrets(
+          `🔍 *Diagnostics for a failed DocSend conversion*\n\n` +
+          `Requested by: <@${userId}>\n` +
+          `Error: ${errorMessage}\n\n` +
+          `Contains a Playwright trace (\`npx playwright show-trace trace.zip\`) and a screenshot per authentication step. ` +
+          `The link, OTP and passcode are redacted.`
+        )
+      });
+
+      logger.info('Diagnostics uploaded successfully', { fileId: result.file?.id, channelId });
+      return result;
+    } catch (error) {
+      logger.error('Failed to upload diagnostics to Slack', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  // Tell the requester how to open a password-protected PDF: an ephemeral message in the channel, or a DM
+  // if that fails. Without a password the note just confirms the one they chose. Never posted to the channel.
+  async sendPdfPassword(channelId, userId, password = null, threadTs = null) {
+    const text = password ?
+      `🔐 The PDF is password protected. Password: \`${password}\`\nOnly you can see this message, share it with care.` :
+      '🔐 The PDF is protected with the password you chose.';
+
+    try {
+      await this.client.chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        text,
+        thread_ts: threadTs ? String(threadTs) : undefined
+      });
+      logger.info('PDF password sent as an ephemeral message', { channelId, userId });
+    } catch (error) {
+      logger.warn('Ephemeral PDF password message failed, sending a DM', { channelId, userId, error: error.message });
+      try {
+        const conversation = await this.client.conversations.open({ users: userId });
+        await this.client.chat.postMessage({ channel: conversation.channel.id, text });
+        logger.info('PDF password sent as a direct message', { userId });
+      } catch (dmError) {
+        logger.error('Failed to send PDF password', { userId, error: dmError.message });
+        throw dmError;
+      }
+    }
+  }
+
+  // Post a progress message that is later updated in place with updateMessage
+  async sendProgressMessage(channelId, message, threadTs = null) {
+    try {
+      const result = await this.client.chat.postMessage({
+        channel: channelId,
+        text: redactSecrets(message),
+        thread_ts: threadTs ? String(threadTs) : undefined,
+        unfurl_links: false
+      });
+      
+      logger.info('Progress message sent to Slack', { 
+        channelId, 
+        messageTs: result.ts 
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to send progress message to Slack', { 
+        error: error.message, 
+        channelId 
+      });
       throw error;
     }
   }
@@ -83,7 +230,7 @@ class SlackService {
   // Send error message to Slack
   async sendErrorMessage(channelId, error, originalUrl, threadTs = null) {
     try {
-      const errorMessage = this.formatErrorMessage(error, originalUrl);
+      const errorMessage = redactSecrets(this.formatErrorMessage(error, originalUrl));
       
       const params = {
         channel: channelId,
@@ -110,12 +257,13 @@ class SlackService {
     }
   }
 
-  // Send success message to Slack
-  async sendSuccessMessage(channelId, message, threadTs = null) {
+  // Send success message to Slack, with a "Retry missing pages" button when a retry ID is given
+  async sendSuccessMessage(channelId, message, threadTs = null, retryId = null) {
     try {
       const params = {
         channel: channelId,
-        text: message,
+        text: redactSecrets(message),
+        blocks: retryId ? this.buildRetryBlocks(redactSecrets(message), retryId) : undefined,
         thread_ts: threadTs ? String(threadTs) : undefined,
         unfurl_links: false
       };
@@ -137,39 +285,80 @@ class SlackService {
     }
   }
 
-  // Format upload comment
-  formatUploadComment(originalUrl) {
+  // Message blocks with a button that retries the pages missing from a partial result.
+  // The button only carries the retry ID; the job details stay in the job processor.
+  buildRetryBlocks(text, retryId) {
+    return [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text }
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            action_id: RETRY_MISSING_PAGES_ACTION,
+            text: { type: 'plain_text', text: 'Retry missing pages' },
+            value: retryId
+          }
+        ]
+      }
+    ];
+  }
+
+  // Document title, sender and last-updated lines for success messages (empty when nothing was found)
+  formatMetadataLines(metadata) {
+    if (!metadata) {
+      return '';
+    }
+    return (metadata.title ? `📑 **Document:** ${metadata.title}\n` : '') +
+           (metadata.sender ? `🏢 **From:** ${metadata.sender}\n` : '') +
+           (metadata.updatedAt ? `🗓️ **Last updated:** ${metadata.updatedAt}\n` : '');
+  }
+
+  // Summary line of the pages with embedded video or interactive content, e.g. "page 3 (video, 2:31)"
+  formatMediaLine(pages) {
+    const mediaPages = pages
+      .filter(page => page.media && page.media.length > 0)
+      .map(page => `page ${page.pageNumber} (${page.media.map(describeMedia).join('; ')})`);
+    return mediaPages.length > 0 ?
+      `🎬 **Media:** ${mediaPages.join(', ')} (badged and linked in the PDF)\n` : '';
+  }
+
+  // Summary line of the compression stats from PDFService.getCompressionStats (none without stats)
+  formatCompressionLine(stats) {
+    if (!stats) {
+      return '';
+    }
+    const saved = stats.compressionRatio.startsWith('-') ? '' : ` (${stats.compressionRatio} smaller)`;
+    return `🗜️ **Compression:** ${stats.originalSizeMB} MB captured → ${stats.finalSizeMB} MB${saved}\n`;
+  }
+
+  // Format upload comment. Only the identity name is shown; its email address stays out of the channel.
+  formatUploadComment(originalUrl, viewer = null) {
     return `📄 *DocSend PDF Generated*\n\n` +
            `Original link: ${originalUrl}\n` +
            `Generated at: ${new Date().toLocaleString()}\n` +
-           `Using viewer email: ${config.docsend.viewerEmail}`;
+           `Viewer identity: ${viewer || 'default'}`;
   }
 
-  // Format error message based on error type
+  // Format error message from the error's code, user-facing message and retry hint
   formatErrorMessage(error, originalUrl) {
-    const baseMessage = `❌ *DocSend Conversion Failed*\n\n` +
-                       `Original link: ${originalUrl}\n` +
-                       `Error: ${error.message}\n\n`;
-
-    let specificMessage = '';
-    
-    if (error.message.includes('invalid URL')) {
-      specificMessage = 'Please provide a valid DocSend URL, e.g., https://docsend.com/view/...';
-    } else if (error.message.includes('email')) {
-      specificMessage = `This link is restricted to a different viewer email. We're using ${config.docsend.viewerEmail}. Ask the sender to grant access to that email or update the configured email.`;
-    } else if (error.message.includes('OTP') || error.message.includes('verification')) {
-      specificMessage = 'We couldn\'t get the verification code in time. Re-run the command after the sender re-shares the link.';
-    } else if (error.message.includes('blocked') || error.message.includes('automated')) {
-      specificMessage = 'DocSend blocked automated rendering. Try a different link or ask the owner to disable advanced link protection.';
-    } else if (error.message.includes('expired') || error.message.includes('404')) {
-      specificMessage = 'This DocSend link appears to be expired or invalid. Please check the link and try again.';
-    } else if (error.message.includes('rate limit') || error.message.includes('throttle')) {
-      specificMessage = 'DocSend is rate limiting requests. Please wait a few minutes and try again.';
-    } else {
-      specificMessage = 'An unexpected error occurred. Please try again or contact support if the issue persists.';
+    const conversionError = toConversionError(error);
+
+    let advice = conversionError.userMessage;
+    if (conversionError instanceof JobTimeoutError && conversionError.partialPages) {
+      advice += ` A partial PDF of the ${conversionError.partialPages} pages captured so far follows.`;
     }
 
-    return baseMessage + specificMessage;
+    return `❌ *DocSend Conversion Failed* (\`${conversionError.code}\`)\n\n` +
+           `Original link: ${originalUrl}\n` +
+           `Error: ${conversionError.message}\n\n` +
+           `${advice}\n\n` +
+           (conversionError.retryable ?
+             '🔁 This may be temporary, so retrying could help.' :
+             '⛔ Retrying won\'t help until the issue above is fixed.');
   }
 
   // Get user info from Slack
@@ -256,7 +445,7 @@ class SlackService {
       const params = {
         channel: channelId,
         ts: messageTs,
-        text: newText
+        text: redactSecrets(newText)
       };
 
       const result = await this.client.chat.update(params);
@@ -279,4 +468,6 @@ class SlackService {
   }
 }
 
+SlackService.RETRY_MISSING_PAGES_ACTION = RETRY_MISSING_PAGES_ACTION;
+
 module.exports = SlackService; 
\ No newline at end of file
@@ -0,0 +1,62 @@
+const JSZip = require('jszip');
+
+// Characters that are not safe in file names inside an archive
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f]+/g;
+
+// Turn a document or folder name into a safe file name segment
+function sanitizeFilename(name, fallback = 'untitled') {
+  const cleaned = (name || '').replace(UNSAFE_FILENAME_CHARS, '-').replace(/\s+/g, ' ').trim();
+  return cleaned.substring(0, 120) || fallback;
+}
+
+// Build a ZIP archive from entries of { path, data }, de-duplicating clashing paths
+async function createZipArchive(entries) {
+  const zip = new JSZip();
+  const usedPaths = new Set();
+
+  for (const entry of entries) {
+    let entryPath = entry.path;
+    let suffix = 2;
+    while (usedPaths.has(entryPath)) {
+      entryPath = entry.path.replace(/(\.[^./]+)?$/, ` (${suffix})$1`);
+      suffix++;
+    }
+    usedPaths.add(entryPath);
+    zip.file(entryPath, entry.data);
+  }
+
+  return zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 }
+  });
+}
+
+// Rewrite the text files inside a ZIP archive (e.g. to redact them), leaving binary files as they are
+async function redactZipArchive(buffer, redact) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  for (const file of Object.values(zip.files)) {
+    if (file.dir) {
+      continue;
+    }
+    const data = await file.async('nodebuffer');
+    // Treat files with NUL bytes near the start as binary (images, fonts)
+    if (data.subarray(0, 8000).includes(0)) {
+      continue;
+    }
+    zip.file(file.name, redact(data.toString('utf8')));
+  }
+
+  return zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 }
+  });
+}
+
+module.exports = {
+  createZipArchive,
+  redactZipArchive,
+  sanitizeFilename
+};
@@ -0,0 +1,41 @@
+const { config } = require('../config');
+const { InvalidOptionError } = require('./errors');
+const captureProfiles = require('../config/captureProfiles.json');
+
+// Capture profiles set the viewer's viewport and device scale factor. Higher scale factors
+// render more pixels per slide, so the browser memory limit is scaled by the profile's memoryScale.
+
+// Resolve a profile by name into { name, viewport, deviceScaleFactor, isMobile, hasTouch, userAgent, memoryScale }
+function getCaptureProfile(name) {
+  const profile = captureProfiles[name];
+  if (!profile) {
+    return null;
+  }
+  return {
+    name,
+    viewport: profile.viewport,
+    deviceScaleFactor: profile.deviceScaleFactor || 1,
+    isMobile: Boolean(profile.isMobile),
+    hasTouch: Boolean(profile.hasTouch),
+    userAgent: profile.userAgent || null,
+    memoryScale: profile.memoryScale || 1
+  };
+}
+
+// Pick the capture profile for a job: capture=<profile>, else the channel's profile, else CAPTURE_PROFILE
+function resolveCaptureProfile({ requested = null, channelId = null } = {}) {
+  const name = requested || (channelId && config.capture.channelProfiles[channelId]) || config.capture.profile;
+  const profile = getCaptureProfile(name);
+  if (!profile) {
+    throw new InvalidOptionError(`Unknown capture profile: ${name}`, {
+      userMessage: `There is no capture profile called "${name}". Available profiles: ${Object.keys(captureProfiles).join(', ')}.`
+    });
+  }
+  return profile;
+}
+
+module.exports = {
+  getCaptureProfile,
+  resolveCaptureProfile,
+  CAPTURE_PROFILE_NAMES: Object.keys(captureProfiles)
+};
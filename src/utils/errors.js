@@ -0,0 +1,282 @@
+const { config } = require('../config');
+
+// Base class for conversion failures. Each subclass has a stable code (used in Slack
+// messages, logs and job stats), a user-facing message and whether a retry makes sense.
+class ConversionError extends Error {
+  constructor(message, { code = 'UNEXPECTED', userMessage = null, retryable = false, cause = null, details = {} } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.userMessage = userMessage || message;
+    this.retryable = retryable;
+    this.details = details;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+class InvalidUrlError extends ConversionError {
+  constructor(message = 'Invalid DocSend URL') {
+    super(message, {
+      code: 'INVALID_URL',
+      userMessage: 'Please provide a valid DocSend URL, e.g. https://docsend.com/view/abc123, https://docsend.com/view/abc123/d/xyz789 or https://docsend.com/view/s/abc123 (data room).'
+    });
+  }
+}
+
+class InvalidOptionError extends ConversionError {
+  constructor(message, { userMessage = null } = {}) {
+    super(message, {
+      code: 'INVALID_OPTION',
+      userMessage
+    });
+  }
+}
+
+class PasscodeRequiredError extends ConversionError {
+  constructor() {
+    super('This DocSend link is protected by a passcode', {
+      code: 'PASSCODE_REQUIRED',
+      userMessage: 'This link is protected by a passcode. Re-run `/docsend-bot <url> passcode=<code>`. The slash command keeps the passcode out of the channel.'
+    });
+  }
+}
+
+class WrongPasscodeError extends ConversionError {
+  constructor() {
+    super('DocSend did not accept the passcode for this link', {
+      code: 'WRONG_PASSCODE',
+      userMessage: 'DocSend did not accept the passcode. Check it with the sender and re-run `/docsend-bot <url> passcode=<code>`.'
+    });
+  }
+}
+
+class AccessDeniedError extends ConversionError {
+  // details.identity / details.viewerEmail name the viewer identity the link rejected
+  constructor(message = 'DocSend denied access to this link', details = {}) {
+    const viewer = details.identity ?
+      `the "${details.identity}" viewer identity (${details.viewerEmail})` :
+      `our viewer email (${details.viewerEmail || config.docsend.viewerEmail})`;
+    const userMessage = details.state === 'restricted_domain'
+      ? `This link only allows viewers from specific email domains, and ${viewer} is not on one. Ask the sender to allow that email or its domain, or pick another identity with \`as=<identity>\`.`
+      : `This link is restricted and does not allow ${viewer}. Ask the sender to grant access to that email, or pick another identity with \`as=<identity>\`.`;
+    super(message, {
+      code: 'ACCESS_DENIED',
+      userMessage,
+      details
+    });
+  }
+}
+
+// User messages for the page states that LinkExpiredError covers (see utils/pageStateClassifier)
+const LINK_STATE_MESSAGES = {
+  expired: 'This DocSend link has expired. Ask the sender for a new link.',
+  disabled: 'The owner has disabled this DocSend link. Ask the sender for a new link.',
+  removed: 'The document behind this DocSend link has been removed. Please check with the sender.',
+  not_found: 'This DocSend link does not exist. Check it for typos or ask the sender for the right link.'
+};
+
+class LinkExpiredError extends ConversionError {
+  constructor(message = 'DocSend link is expired, disabled or does not exist', details = {}) {
+    super(message, {
+      code: 'LINK_EXPIRED',
+      userMessage: LINK_STATE_MESSAGES[details.state] || 'This DocSend link appears to be expired, disabled or invalid. Please check the link with the sender.',
+      details
+    });
+  }
+}
+
+class OtpTimeoutError extends ConversionError {
+  constructor(message = 'Timed out waiting for the DocSend verification code') {
+    super(message, {
+      code: 'OTP_TIMEOUT',
+      userMessage: 'We couldn\'t get the email verification code in time. Please try again in a few minutes.',
+      retryable: true
+    });
+  }
+}
+
+class EmailProviderError extends ConversionError {
+  constructor(message) {
+    super(message, {
+      code: 'EMAIL_PROVIDER_UNAVAILABLE',
+      userMessage: 'This link needs an email verification code, but the bot\'s inbox is not configured correctly. Please contact the bot administrator.'
+    });
+  }
+}
+
+class BotBlockedError extends ConversionError {
+  constructor(message = 'DocSend blocked automated rendering', details = {}) {
+    super(message, {
+      code: 'BOT_BLOCKED',
+      userMessage: 'DocSend blocked automated rendering. Try again later, or ask the owner to disable advanced link protection.',
+      retryable: true,
+      details
+    });
+  }
+}
+
+class ViewerLayoutUnknownError extends ConversionError {
+  constructor(message = 'The DocSend viewer did not match any known layout', details = {}) {
+    super(message, {
+      code: 'VIEWER_LAYOUT_UNKNOWN',
+      userMessage: 'The DocSend viewer did not load as expected. DocSend may have changed its layout; a retry may help, otherwise please report it.',
+      retryable: true,
+      details
+    });
+  }
+}
+
+class PageNavigationError extends ConversionError {
+  constructor(message, details = {}) {
+    super(message, {
+      code: 'PAGE_NAVIGATION_FAILED',
+      userMessage: 'We couldn\'t move through the document\'s pages. Please try again.',
+      retryable: true,
+      details
+    });
+  }
+}
+
+class PageOutOfRangeError extends ConversionError {
+  constructor(pageNumber, lastPage) {
+    super(`Page ${pageNumber} does not exist, the document ends at page ${lastPage}`, {
+      code: 'PAGE_OUT_OF_RANGE',
+      userMessage: `The document only has ${lastPage} pages. Request pages between 1 and ${lastPage}.`,
+      details: { pageNumber, lastPage }
+    });
+  }
+}
+
+class TooManyPagesError extends ConversionError {
+  constructor(requested) {
+    super(`Requested pages exceed the ${config.rateLimiting.maxPages} page limit`, {
+      code: 'TOO_MANY_PAGES',
+      userMessage: `Only pages 1-${config.rateLimiting.maxPages} can be converted. Request a smaller page range, e.g. \`/docsend-bot <url> 1-20\`.`,
+      details: { requested }
+    });
+  }
+}
+
+class CaptureFailedError extends ConversionError {
+  constructor(message, cause = null) {
+    super(message, {
+      code: 'CAPTURE_FAILED',
+      userMessage: 'We couldn\'t capture the document\'s pages. Please try again.',
+      retryable: true,
+      cause
+    });
+  }
+}
+
+class PdfGenerationError extends ConversionError {
+  constructor(message, cause = null) {
+    super(message, {
+      code: 'PDF_GENERATION_FAILED',
+      userMessage: 'The pages were captured but building the PDF failed. Please try again.',
+      retryable: true,
+      cause
+    });
+  }
+}
+
+class UploadFailedError extends ConversionError {
+  constructor(message, cause = null) {
+    super(message, {
+      code: 'UPLOAD_FAILED',
+      userMessage: 'The PDF was created but could not be delivered. Please try again.',
+      retryable: true,
+      cause
+    });
+  }
+}
+
+class ViewerIdentityError extends ConversionError {
+  constructor(message, { userMessage = null } = {}) {
+    super(message, {
+      code: 'VIEWER_IDENTITY_INVALID',
+      userMessage
+    });
+  }
+}
+
+class BrowserUnavailableError extends ConversionError {
+  constructor(message) {
+    super(message, {
+      code: 'BROWSER_UNAVAILABLE',
+      userMessage: 'All conversion browsers are busy or failed to start. Please try again shortly.',
+      retryable: true
+    });
+  }
+}
+
+class SpaceEmptyError extends ConversionError {
+  constructor(message = 'No documents found in this DocSend space') {
+    super(message, {
+      code: 'SPACE_EMPTY',
+      userMessage: 'No documents could be converted from this data room. It may be empty or restricted.'
+    });
+  }
+}
+
+class JobTimeoutError extends ConversionError {
+  constructor(timeoutSeconds, stage = null) {
+    super(`Job timed out after ${timeoutSeconds}s${stage ? ` while ${stage}` : ''}`, {
+      code: 'JOB_TIMEOUT',
+      userMessage: `The conversion took longer than the ${timeoutSeconds}s limit. Try again later or request fewer pages, e.g. \`/docsend-bot <url> 1-20\`.`,
+      retryable: true
+    });
+    this.partialPages = 0;
+  }
+}
+
+// Raised inside a job that has already passed its deadline; never shown to users
+class JobAbortedError extends ConversionError {
+  constructor() {
+    super('Job aborted after reaching its deadline', { code: 'JOB_ABORTED' });
+  }
+}
+
+class UnexpectedError extends ConversionError {
+  constructor(cause) {
+    super(cause?.message || 'Unexpected error', {
+      code: 'UNEXPECTED',
+      userMessage: 'An unexpected error occurred. Please try again or contact support if the issue persists.',
+      retryable: true,
+      cause
+    });
+  }
+}
+
+// Wrap anything that is not already a ConversionError so callers can rely on code/userMessage/retryable
+function toConversionError(error) {
+  return error instanceof ConversionError ? error : new UnexpectedError(error);
+}
+
+module.exports = {
+  ConversionError,
+  InvalidUrlError,
+  InvalidOptionError,
+  PasscodeRequiredError,
+  WrongPasscodeError,
+  AccessDeniedError,
+  LinkExpiredError,
+  OtpTimeoutError,
+  EmailProviderError,
+  BotBlockedError,
+  ViewerLayoutUnknownError,
+  PageNavigationError,
+  PageOutOfRangeError,
+  TooManyPagesError,
+  CaptureFailedError,
+  PdfGenerationError,
+  UploadFailedError,
+  ViewerIdentityError,
+  BrowserUnavailableError,
+  SpaceEmptyError,
+  JobTimeoutError,
+  JobAbortedError,
+  UnexpectedError,
+  toConversionError
+};
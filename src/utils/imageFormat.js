@@ -0,0 +1,31 @@
+// Detect image format from the leading magic bytes of a buffer
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47) {
+    return 'png';
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  return null;
+}
+
+// File extension to use when writing an image buffer to disk
+function getImageExtension(buffer) {
+  const format = detectImageFormat(buffer);
+  return format === 'jpeg' ? 'jpg' : (format || 'png');
+}
+
+module.exports = {
+  detectImageFormat,
+  getImageExtension
+};
@@ -4,7 +4,7 @@ const { config } = require('../config');
 // PII redaction patterns
 const PII_PATTERNS = [
   { pattern: /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g, replacement: '[EMAIL]' },
-  { pattern: /(https?:\/\/docsend\.com\/view\/[a-zA-Z0-9]+)(\?[^\\s]*)?/g, replacement: '[DOCSEND_URL]' },
+  { pattern: /(https?:\/\/docsend\.com\/view\/(?:s\/)?[a-zA-Z0-9]+)(\?[^\\s]*)?/g, replacement: '[DOCSEND_URL]' },
   { pattern: /(xoxb-[a-zA-Z0-9-]+)/g, replacement: '[SLACK_TOKEN]' },
   { pattern: /(xoxp-[a-zA-Z0-9-]+)/g, replacement: '[SLACK_TOKEN]' },
   { pattern: /(xoxa-[a-zA-Z0-9-]+)/g, replacement: '[SLACK_TOKEN]' },
@@ -12,9 +12,69 @@ const PII_PATTERNS = [
   { pattern: /(\b\d{4,6}\b)/g, replacement: '[OTP]' },
 ];
 
+// Secret patterns that are redacted from messages and metadata alike
+const SECRET_PATTERNS = [
+  { pattern: /(passcode\s*[=:]\s*)[^\s"',}]+/gi, replacement: '$1[PASSCODE]' },
+  { pattern: /(pdfpassword\s*[=:]\s*)(?!auto\b)[^\s"',}]+/gi, replacement: '$1[PASSWORD]' },
+  { pattern: /("passcode"\s*:\s*")(?:[^"\\]|\\.)*(?=")/gi, replacement: '$1[PASSCODE]' },
+  { pattern: /("pdfpassword"\s*:\s*")(?!auto")(?:[^"\\]|\\.)*(?=")/gi, replacement: '$1[PASSWORD]' },
+];
+
+// Secrets supplied with running jobs (e.g. link passcodes), with how many jobs are using each one
+const activeSecrets = new Map();
+
+// Shorter secrets would match inside unrelated words, IDs and numbers, so in free text they are
+// left alone; log metadata fields holding exactly a secret are redacted whatever its length
+const MIN_SECRET_LENGTH = 4;
+
+// Register a secret so it is redacted from every log line until unregistered
+function registerSecret(secret) {
+  if (secret) {
+    const key = String(secret);
+    activeSecrets.set(key, (activeSecrets.get(key) || 0) + 1);
+  }
+}
+
+// Stop redacting a secret once the last job using it has finished
+function unregisterSecret(secret) {
+  const key = String(secret || '');
+  const count = activeSecrets.get(key);
+  if (count > 1) {
+    activeSecrets.set(key, count - 1);
+  } else if (count) {
+    activeSecrets.delete(key);
+  }
+}
+
+// Redact job secrets from any text. Registered secrets only match as whole tokens,
+// so "abcd" is hidden in "code abcd" but not in "abcdef".
+function redactSecrets(text) {
+  let redacted = text;
+  SECRET_PATTERNS.forEach(({ pattern, replacement }) => {
+    redacted = redacted.replace(pattern, replacement);
+  });
+  activeSecrets.forEach((count, secret) => {
+    if (secret.length < MIN_SECRET_LENGTH) {
+      return;
+    }
+    const escaped = secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    redacted = redacted.replace(new RegExp(`(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`, 'g'), '[REDACTED]');
+  });
+  return redacted;
+}
+
+// Serialize log metadata with job secrets removed, including fields that hold a short secret
+function redactMetadata(meta) {
+  const json = JSON.stringify(meta, (key, value) => {
+    const isScalar = typeof value === 'string' || typeof value === 'number';
+    return isScalar && activeSecrets.has(String(value)) ? '[REDACTED]' : value;
+  });
+  return redactSecrets(json);
+}
+
 // Redact PII from log messages
 function redactPII(message) {
-  let redacted = message;
+  let redacted = redactSecrets(message);
   PII_PATTERNS.forEach(({ pattern, replacement }) => {
     redacted = redacted.replace(pattern, replacement);
   });
@@ -27,7 +87,7 @@ const logFormat = winston.format.combine(
   winston.format.errors({ stack: true }),
   winston.format.printf(({ timestamp, level, message, ...meta }) => {
     const redactedMessage = redactPII(message);
-    const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+    const metaStr = Object.keys(meta).length ? redactMetadata(meta) : '';
     return `${timestamp} [${level.toUpperCase()}]: ${redactedMessage} ${metaStr}`;
   })
 );
@@ -89,5 +149,9 @@ module.exports = {
   logJobProgress,
   logError,
   logSecurityEvent,
-  redactPII
+  redactPII,
+  redactSecrets,
+  redactMetadata,
+  registerSecret,
+  unregisterSecret
 }; 
\ No newline at end of file
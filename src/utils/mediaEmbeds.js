@@ -0,0 +1,55 @@
+// Video hosts whose embed URLs can be turned back into a link a reader can open
+const MEDIA_PROVIDERS = [
+  { pattern: /youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/i, link: id => `https://www.youtube.com/watch?v=${id}` },
+  { pattern: /player\.vimeo\.com\/video\/(\d+)/i, link: id => `https://vimeo.com/${id}` },
+  { pattern: /loom\.com\/embed\/([\w-]+)/i, link: id => `https://www.loom.com/share/${id}` },
+  { pattern: /fast\.wistia\.(?:net|com)\/embed\/(?:iframe|medias)\/([\w-]+)/i, link: id => `https://fast.wistia.com/medias/${id}` },
+  { pattern: /play\.vidyard\.com\/([\w-]+)/i, link: id => `https://share.vidyard.com/watch/${id}` }
+];
+
+// Embed hosts that are always video, even when the page shows them in an iframe
+const VIDEO_HOSTS = /youtube(?:-nocookie)?\.com|vimeo\.com|loom\.com|wistia\.(?:net|com)|vidyard\.com/i;
+
+// Link to open an embed outside the PDF: the host's watch page when known, else the http(s) source
+function getMediaLink(src) {
+  if (!src) {
+    return null;
+  }
+  for (const provider of MEDIA_PROVIDERS) {
+    const match = src.match(provider.pattern);
+    if (match) {
+      return provider.link(match[1]);
+    }
+  }
+  return /^https?:\/\//i.test(src) ? src : null;
+}
+
+// 'video' for <video> elements and known video hosts, 'interactive' for any other embed
+function getMediaType(tagName, src) {
+  return tagName === 'VIDEO' || VIDEO_HOSTS.test(src || '') ? 'video' : 'interactive';
+}
+
+// Format a duration in seconds as m:ss or h:mm:ss
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return null;
+  }
+  const total = Math.round(seconds);
+  const pad = value => String(value).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+}
+
+// Short label for an embed, e.g. "video, 2:31" or "interactive"
+function describeMedia(media) {
+  const duration = formatDuration(media.duration);
+  return duration ? `${media.type}, ${duration}` : media.type;
+}
+
+module.exports = {
+  getMediaLink,
+  getMediaType,
+  formatDuration,
+  describeMedia
+};
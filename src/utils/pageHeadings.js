@@ -0,0 +1,43 @@
+// Largest text must be this much taller than the page's typical text to count as a heading
+const HEADING_SIZE_RATIO = 1.3;
+// Pages with at most this many words and a heading are treated as section dividers
+const SECTION_MAX_WORDS = 12;
+const MAX_HEADING_LENGTH = 120;
+
+// Pick a page heading from positioned text items ({ text, x, y, width, height } in fractions of the page,
+// as produced by extractPageText or OCR). The heading is the largest text on the page, read top to bottom.
+// Returns { title, section } or null when no text stands out.
+function findHeading(textItems) {
+  const items = (textItems || []).filter(item => item.text && item.text.trim() && item.height > 0);
+  if (items.length === 0) {
+    return null;
+  }
+
+  const heights = items.map(item => item.height).sort((a, b) => a - b);
+  const median = heights[Math.floor(heights.length / 2)];
+  const largest = heights[heights.length - 1];
+  const section = items.length <= SECTION_MAX_WORDS;
+
+  // Body-text pages have nothing larger than the body, short pages are headings by themselves
+  if (largest < median * HEADING_SIZE_RATIO && !section) {
+    return null;
+  }
+
+  const candidates = items.filter(item => item.height >= largest * 0.85);
+  const top = Math.min(...candidates.map(item => item.y));
+  // A heading may wrap onto a second line, but not further
+  const title = candidates
+    .filter(item => item.y <= top + largest * 2.5)
+    .sort((a, b) => (Math.abs(a.y - b.y) < largest * 0.5 ? a.x - b.x : a.y - b.y))
+    .map(item => item.text.trim())
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .slice(0, MAX_HEADING_LENGTH)
+    .trim();
+
+  return title ? { title, section } : null;
+}
+
+module.exports = {
+  findHeading
+};
@@ -0,0 +1,115 @@
+// DocSend interstitial pages that replace the viewer, checked in order. Each state has the
+// reason reported to the user and the phrases DocSend shows for it (matched lowercase).
+const PAGE_STATES = [
+  {
+    state: 'bot_check',
+    reason: 'DocSend showed a bot check instead of the document',
+    patterns: [
+      /checking (if the site connection is secure|your browser)/,
+      /verify (that )?you are (a )?human/,
+      /are you a robot/,
+      /unusual (traffic|activity)/,
+      /complete the (security check|captcha)/
+    ]
+  },
+  {
+    state: 'expired',
+    reason: 'The DocSend link has expired',
+    patterns: [
+      /link (has )?expired/,
+      /link is no longer valid/,
+      /access to this (content|document) has expired/
+    ]
+  },
+  {
+    state: 'disabled',
+    reason: 'The DocSend link has been disabled by its owner',
+    patterns: [
+      /link (has been|was|is) (disabled|deactivated|turned off)/,
+      /link is no longer active/,
+      /owner has (disabled|deactivated) this link/
+    ]
+  },
+  {
+    state: 'removed',
+    reason: 'The document behind this DocSend link has been removed',
+    patterns: [
+      /(content|document|file|space) (has been|was) (removed|deleted)/,
+      /(content|document|link) is no longer available/
+    ]
+  },
+  {
+    state: 'restricted_domain',
+    reason: 'The DocSend link only allows viewers from specific email domains',
+    patterns: [
+      /only (available|accessible) to (viewers|people|users) (from|at|with)/,
+      /email address from an (allowed|approved) domain/,
+      /restricted to (certain|specific|approved) (email )?domains/
+    ]
+  },
+  {
+    state: 'restricted_viewer',
+    reason: 'The DocSend link only allows specific viewers',
+    patterns: [
+      /do(n't| not) have (permission|access)/,
+      /(isn't|is not|not) on the list of (approved|allowed) viewers/,
+      /restricted to (specific|approved|certain) (people|viewers)/,
+      /request access/,
+      /access denied/,
+      /not authorized/
+    ]
+  },
+  {
+    state: 'not_found',
+    reason: 'The DocSend link does not exist',
+    patterns: [
+      /page not found/,
+      /we couldn't find (that|this|the) (page|document|link)/
+    ]
+  }
+];
+
+// HTTP statuses that identify a state on their own when the page text does not
+const STATUS_STATES = {
+  404: 'not_found',
+  410: 'removed',
+  429: 'bot_check'
+};
+
+// Reduce HTML to roughly the visible text the browser reports as innerText
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#39;|&rsquo;|&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Classify a loaded page from its title, visible text and HTTP status.
+// Returns { state, reason, match } for a known interstitial, or null when the page shows none of them.
+function classifyPageState({ title = '', text = '', status = null } = {}) {
+  const content = `${title} ${text}`.toLowerCase().replace(/[‘’]/g, '\'').replace(/\s+/g, ' ');
+
+  for (const { state, reason, patterns } of PAGE_STATES) {
+    const pattern = patterns.find(candidate => candidate.test(content));
+    if (pattern) {
+      return { state, reason, match: pattern.source };
+    }
+  }
+
+  const statusState = PAGE_STATES.find(({ state }) => state === STATUS_STATES[status]);
+  if (statusState) {
+    return { state: statusState.state, reason: statusState.reason, match: `HTTP ${status}` };
+  }
+
+  return null;
+}
+
+module.exports = {
+  classifyPageState,
+  htmlToText,
+  PAGE_STATES
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const {
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFNumber,
+  PDFRawStream,
+  PDFStream,
+  PDFString
+} = require('pdf-lib');
+const { config } = require('../config');
+const { logger } = require('./logger');
+const { InvalidOptionError } = require('./errors');
+
+// Permission flags a reader may be given (PDF "P" entry bits). Anything not listed in
+// permissions is denied; opening with the owner password lifts every restriction.
+const PERMISSION_BITS = {
+  print: 1 << 2,
+  modify: 1 << 3,
+  copy: 1 << 4,
+  annotate: 1 << 5,
+  fillForms: 1 << 8,
+  accessibility: 1 << 9,
+  assemble: 1 << 10,
+  printHighQuality: 1 << 11
+};
+
+// Bits 7-8 and 13-32 must be set, the permission bits start cleared
+const RESERVED_PERMISSION_BITS = 0xFFFFF0C0;
+
+// Encrypt a pdf-lib document in place with the standard security handler, AES-256 (PDF 2.0, revision 6).
+// Call just before saving, and save with useObjectStreams: false.
+// Options: userPassword - needed to open the file ('' opens without a password but keeps the restrictions)
+//          ownerPassword - lifts the restrictions (random when not given)
+//          permissions - names from PERMISSION_BITS that readers keep (defaults to all)
+async function encryptPdfDocument(pdfDoc, { userPassword = '', ownerPassword = null, permissions = Object.keys(PERMISSION_BITS) } = {}) {
+  // Fonts and images are only written into the document on flush, they must be encrypted too
+  await pdfDoc.flush();
+
+  const context = pdfDoc.context;
+  const fileKey = crypto.randomBytes(32);
+  const userBytes = preparePassword(userPassword);
+  const ownerBytes = preparePassword(ownerPassword || crypto.randomBytes(24).toString('base64'));
+  const permissionValue = getPermissionValue(permissions);
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (object instanceof PDFStream) {
+      encryptStrings(object.dict, fileKey);
+      context.assign(ref, PDFRawStream.of(object.dict, encryptBytes(object.getContents(), fileKey)));
+    } else {
+      context.assign(ref, encryptStrings(object, fileKey));
+    }
+  }
+
+  // Algorithms 8 and 9 of ISO 32000-2: validation and key salts, hashed passwords and wrapped file keys
+  const userValidationSalt = crypto.randomBytes(8);
+  const userKeySalt = crypto.randomBytes(8);
+  const u = Buffer.concat([hashPassword(userBytes, userValidationSalt), userValidationSalt, userKeySalt]);
+  const ue = aesNoPadding('aes-256-cbc', hashPassword(userBytes, userKeySalt), Buffer.alloc(16), fileKey);
+
+  const ownerValidationSalt = crypto.randomBytes(8);
+  const ownerKeySalt = crypto.randomBytes(8);
+  const o = Buffer.concat([hashPassword(ownerBytes, ownerValidationSalt, u), ownerValidationSalt, ownerKeySalt]);
+  const oe = aesNoPadding('aes-256-cbc', hashPassword(ownerBytes, ownerKeySalt, u), Buffer.alloc(16), fileKey);
+
+  // Algorithm 10: the permissions, sealed with the file key so they can't be edited
+  const perms = Buffer.alloc(16, 0xFF);
+  perms.writeInt32LE(permissionValue, 0);
+  perms.write('Tadb', 8, 'latin1');
+  crypto.randomBytes(4).copy(perms, 12);
+
+  const encryptRef = context.register(context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+    StmF: 'StdCF',
+    StrF: 'StdCF',
+    O: PDFHexString.of(o.toString('hex')),
+    U: PDFHexString.of(u.toString('hex')),
+    OE: PDFHexString.of(oe.toString('hex')),
+    UE: PDFHexString.of(ue.toString('hex')),
+    P: PDFNumber.of(permissionValue),
+    Perms: PDFHexString.of(aesNoPadding('aes-256-ecb', fileKey, null, perms).toString('hex'))
+  }));
+
+  const fileId = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+  context.trailerInfo.Encrypt = encryptRef;
+  context.trailerInfo.ID = context.obj([fileId, fileId]);
+}
+
+// Encryption settings for a job, or null for an unprotected PDF. The password comes from the request
+// (pdfpassword=<password>, or pdfpassword=auto for a generated one) or the channel's PDF_ENCRYPT_CHANNELS entry.
+// Returns { userPassword, ownerPassword, permissions, shareWithRequester }; shareWithRequester is false
+// when the requester chose the password and already knows it.
+function resolvePdfEncryption({ channelId = null, requested = null } = {}) {
+  const settings = config.pdf.encryption;
+  let password = requested;
+  let shareWithRequester = !requested || requested === 'auto';
+
+  if (!password && channelId && settings.channels[channelId]) {
+    const source = settings.channels[channelId];
+    password = source === 'auto' ? 'auto' : process.env[source];
+    if (!password) {
+      // The channel wants protected PDFs, so never fall back to an open one
+      logger.warn('Channel PDF password not set, generating one', { channelId, env: source });
+      password = 'auto';
+    }
+  }
+
+  if (!password) {
+    return null;
+  }
+
+  const permissions = settings.permissions || Object.keys(PERMISSION_BITS);
+  // Surface a bad PDF_PERMISSIONS before the capture rather than after it
+  getPermissionValue(permissions);
+
+  return {
+    userPassword: password === 'auto' ? crypto.randomBytes(9).toString('base64url') : password,
+    ownerPassword: settings.ownerPassword,
+    permissions,
+    shareWithRequester
+  };
+}
+
+// Signed 32-bit P value for a list of permission names
+function getPermissionValue(permissions) {
+  let value = RESERVED_PERMISSION_BITS;
+  for (const name of permissions) {
+    if (!PERMISSION_BITS[name]) {
+      throw new InvalidOptionError(`Unknown PDF permission: ${name}`, {
+        userMessage: `Unknown PDF permission "${name}". Available permissions: ${Object.keys(PERMISSION_BITS).join(', ')}.`
+      });
+    }
+    value |= PERMISSION_BITS[name];
+  }
+  return value | 0;
+}
+
+// Passwords are UTF-8 (normalized), at most 127 bytes
+function preparePassword(password) {
+  return Buffer.from(String(password || '').normalize('NFKC'), 'utf8').subarray(0, 127);
+}
+
+// Algorithm 2.B of ISO 32000-2: the revision 6 password hash
+function hashPassword(password, salt, userKey = Buffer.alloc(0)) {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let encrypted = Buffer.alloc(0);
+
+  for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+    const block = Buffer.concat([password, key, userKey]);
+    const repeated = Buffer.concat(Array(64).fill(block));
+    encrypted = aesNoPadding('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32), repeated);
+
+    let sum = 0;
+    for (let i = 0; i < 16; i++) {
+      sum += encrypted[i];
+    }
+    const algorithm = ['sha256', 'sha384', 'sha512'][sum % 3];
+    key = crypto.createHash(algorithm).update(encrypted).digest();
+  }
+
+  return key.subarray(0, 32);
+}
+
+// AES over whole blocks, without padding
+function aesNoPadding(algorithm, key, iv, data) {
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// AESV3 string / stream encryption: random IV followed by AES-256-CBC with PKCS#7 padding
+function encryptBytes(bytes, fileKey) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', fileKey, iv);
+  return Buffer.concat([iv, cipher.update(Buffer.from(bytes)), cipher.final()]);
+}
+
+// Replace every string inside an object (recursing into dictionaries and arrays) with its encrypted form
+function encryptStrings(object, fileKey) {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(encryptBytes(object.asBytes(), fileKey).toString('hex'));
+  }
+  if (object instanceof PDFDict) {
+    for (const [key, value] of object.entries()) {
+      object.set(key, encryptStrings(value, fileKey));
+    }
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      object.set(i, encryptStrings(object.get(i), fileKey));
+    }
+  }
+  return object;
+}
+
+module.exports = {
+  encryptPdfDocument,
+  resolvePdfEncryption,
+  getPermissionValue,
+  PERMISSION_NAMES: Object.keys(PERMISSION_BITS)
+};
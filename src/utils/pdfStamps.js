@@ -0,0 +1,54 @@
+const fs = require('fs');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+let channelStamps = {};
+let channelStampsKey = null;
+
+// Per-channel overrides from PDF_STAMP_CHANNELS_PATH, re-read whenever the file changes. The file looks like:
+//   { "C0123456789": { "footer": "{label} - page {page} of {pages}", "label": "Confidential", "cover": true } }
+function loadChannelStamps() {
+  const filePath = config.pdf.stamp.channelsPath;
+  if (!filePath) {
+    return {};
+  }
+
+  try {
+    const key = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
+    if (key !== channelStampsKey) {
+      channelStamps = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      channelStampsKey = key;
+      logger.info('Loaded per-channel PDF stamps', { path: filePath, channels: Object.keys(channelStamps).length });
+    }
+  } catch (error) {
+    logger.warn('Ignoring unreadable per-channel PDF stamps', { path: filePath, error: error.message });
+    return {};
+  }
+  return channelStamps;
+}
+
+// Header, footer, confidentiality label and cover page setting for a channel: { header, footer, label, cover }
+function resolvePdfStamp(channelId) {
+  const { header, footer, label, cover } = config.pdf.stamp;
+  return { header, footer, label, cover, ...(channelId && loadChannelStamps()[channelId]) };
+}
+
+// Fill {placeholders} in a header/footer template. Known keys with no value become empty,
+// unknown placeholders are left as written so typos stay visible.
+function renderStampTemplate(template, values) {
+  return (template || '')
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key] ?? '') : match))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Capture timestamp as shown in stamps, e.g. "2024-05-01 14:03 UTC"
+function formatCaptureTime(date) {
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+module.exports = {
+  resolvePdfStamp,
+  renderStampTemplate,
+  formatCaptureTime
+};
@@ -0,0 +1,126 @@
+const sharp = require('sharp');
+
+// Portrait height / width of the configured PDF page size, used to size pages cut from a long scroll
+const PORTRAIT_RATIOS = {
+  a4: 11.69 / 8.27,
+  letter: 11 / 8.5,
+  legal: 14 / 8.5
+};
+
+// A row counts as blank when its lightest and darkest pixels are this close (0-255 greyscale)
+const BLANK_ROW_RANGE = 8;
+// How far above the target break (as a share of the page height) to look for a blank row
+const BREAK_SEARCH_SHARE = 0.2;
+
+// Stitch scroll tiles into page images.
+// Tiles are { top, height, data } in CSS pixels of the scrolled content (screenshots may be high-DPI).
+// pageTops are the tops of the document's own pages when the viewer exposes them; otherwise pages are
+// cut every pageHeight CSS pixels, moved up to the nearest blank row so text lines are not split.
+// Returns { data, top, bottom } per page, top to bottom: a PNG buffer and where the page was cut (CSS pixels).
+async function stitchScrollPages(tiles, { pageHeight, pageTops = [] }) {
+  if (tiles.length === 0) {
+    return [];
+  }
+
+  const firstTile = await sharp(tiles[0].data).metadata();
+  const scale = firstTile.height / tiles[0].height;
+  const width = firstTile.width;
+  const totalHeight = Math.max(...tiles.map(tile => tile.top + tile.height));
+
+  const breaks = await findBreaks(tiles, { totalHeight, pageHeight, pageTops, scale, width });
+  const pages = [];
+  for (let i = 0; i < breaks.length - 1; i++) {
+    pages.push({
+      data: await extractRegion(tiles, breaks[i], breaks[i + 1], { scale, width }),
+      top: breaks[i],
+      bottom: breaks[i + 1]
+    });
+  }
+  return pages;
+}
+
+// Page boundaries in CSS pixels, from 0 to totalHeight
+async function findBreaks(tiles, { totalHeight, pageTops, scale, width, ...options }) {
+  const breaks = [0];
+  const naturalTops = [...new Set(pageTops)]
+    .filter(top => top > 0 && top < totalHeight)
+    .sort((a, b) => a - b);
+
+  // The document's own pages set the page height; the estimate only covers viewers without them
+  let pageHeight = options.pageHeight;
+  if (naturalTops.length > 0) {
+    const spacings = [naturalTops[0], ...naturalTops.slice(1).map((top, i) => top - naturalTops[i])].sort((a, b) => a - b);
+    pageHeight = spacings[Math.floor(spacings.length / 2)];
+  }
+
+  let position = 0;
+  while (totalHeight - position > pageHeight * 1.1) {
+    const target = position + pageHeight;
+    const natural = naturalTops.find(top => top > position + pageHeight * 0.3 && top <= position + pageHeight * 1.5);
+    const next = natural || await findBlankRow(tiles, target - pageHeight * BREAK_SEARCH_SHARE, target, { scale, width }) || target;
+    breaks.push(next);
+    position = next;
+  }
+
+  breaks.push(totalHeight);
+  return breaks;
+}
+
+// Last blank row between from and to (CSS pixels), or null when every row has content
+async function findBlankRow(tiles, from, to, { scale, width }) {
+  const region = await extractRegion(tiles, from, to, { scale, width });
+  const { data, info } = await sharp(region).greyscale().raw().toBuffer({ resolveWithObject: true });
+
+  for (let row = info.height - 1; row >= 0; row--) {
+    let min = 255;
+    let max = 0;
+    const start = row * info.width * info.channels;
+    for (let i = start; i < start + info.width * info.channels; i += info.channels) {
+      min = Math.min(min, data[i]);
+      max = Math.max(max, data[i]);
+    }
+    if (max - min <= BLANK_ROW_RANGE) {
+      return from + (row + 1) / scale;
+    }
+  }
+  return null;
+}
+
+// Composite the part of the tiles between top and bottom (CSS pixels) into one PNG
+async function extractRegion(tiles, top, bottom, { scale, width }) {
+  const height = Math.max(1, Math.round((bottom - top) * scale));
+  const layers = [];
+
+  for (const tile of tiles) {
+    const overlapTop = Math.max(top, tile.top);
+    const overlapBottom = Math.min(bottom, tile.top + tile.height);
+    if (overlapBottom <= overlapTop) {
+      continue;
+    }
+
+    const tileInfo = await sharp(tile.data).metadata();
+    const cropTop = Math.min(tileInfo.height - 1, Math.round((overlapTop - tile.top) * scale));
+    const cropHeight = Math.min(tileInfo.height - cropTop, height, Math.max(1, Math.round((overlapBottom - overlapTop) * scale)));
+    const input = await sharp(tile.data)
+      .extract({ left: 0, top: cropTop, width: Math.min(width, tileInfo.width), height: cropHeight })
+      .toBuffer();
+    layers.push({ input, left: 0, top: Math.min(height - cropHeight, Math.round((overlapTop - top) * scale)) });
+  }
+
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  })
+    .composite(layers)
+    .png()
+    .toBuffer();
+}
+
+// Height of one portrait page in CSS pixels for content of the given width
+function getScrollPageHeight(contentWidth, pageSize) {
+  return contentWidth * (PORTRAIT_RATIOS[(pageSize || '').toLowerCase()] || PORTRAIT_RATIOS.a4);
+}
+
+module.exports = {
+  stitchScrollPages,
+  getScrollPageHeight
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { config } = require('../config');
+const { logger } = require('./logger');
+const bundledProfiles = require('../config/selectorProfiles.json');
+
+// Selector profiles describe the DocSend viewer layouts we know about.
+// The bundled data file can be extended or patched at runtime with an override file
+// (SELECTOR_PROFILES_PATH) that is re-read whenever it changes, so a DocSend UI change
+// can be handled without a deploy.
+class SelectorProfiles {
+  constructor(options = {}) {
+    this.overridePath = options.overridePath !== undefined ? options.overridePath : config.selectors.profilesPath;
+    this.forcedProfile = options.profile !== undefined ? options.profile : config.selectors.profile;
+    this.cache = null;
+    this.cacheKey = null;
+  }
+
+  // Bundled profiles merged with the override file: { version, default, profiles }
+  getProfiles() {
+    const override = this.loadOverride();
+    const cacheKey = override ? override.mtimeMs : 'bundled';
+    if (this.cache && this.cacheKey === cacheKey) {
+      return this.cache;
+    }
+
+    this.cache = SelectorProfiles.merge(bundledProfiles, override?.data);
+    this.cacheKey = cacheKey;
+    return this.cache;
+  }
+
+  // Read the override file, or null when none is configured or it is unusable
+  loadOverride() {
+    if (!this.overridePath) {
+      return null;
+    }
+
+    try {
+      const { mtimeMs } = fs.statSync(this.overridePath);
+      if (this.cache && this.cacheKey === mtimeMs) {
+        return { mtimeMs };
+      }
+      const data = JSON.parse(fs.readFileSync(this.overridePath, 'utf8'));
+      logger.info('Loaded selector profile override', { path: this.overridePath, version: data.version });
+      return { mtimeMs, data };
+    } catch (error) {
+      logger.warn('Ignoring selector profile override', { path: this.overridePath, error: error.message });
+      return null;
+    }
+  }
+
+  // Resolve a profile by name into { name, version, selectors } with every key filled from the defaults
+  getProfile(name) {
+    const { version, default: defaults, profiles } = this.getProfiles();
+    const profile = profiles.find(candidate => candidate.name === name);
+
+    if (!profile) {
+      return { name: 'default', version, selectors: { ...defaults } };
+    }
+
+    return {
+      name: profile.name,
+      version: profile.version,
+      selectors: { ...defaults, ...profile.selectors }
+    };
+  }
+
+  // Work out which layout the loaded page matches; falls back to the default selectors
+  async detectProfile(page) {
+    if (this.forcedProfile) {
+      return this.getProfile(this.forcedProfile);
+    }
+
+    for (const profile of this.getProfiles().profiles) {
+      if (!profile.detect || profile.detect.length === 0) {
+        continue;
+      }
+      try {
+        if (await page.$(profile.detect.join(', '))) {
+          return this.getProfile(profile.name);
+        }
+      } catch (error) {
+        logger.warn('Selector profile detection failed', { profile: profile.name, error: error.message });
+      }
+    }
+
+    return this.getProfile(null);
+  }
+
+  // Merge an override into the bundled profiles. Override defaults patch individual keys,
+  // override profiles replace bundled profiles of the same name unless their version is older,
+  // and new profiles are tried before the bundled ones.
+  static merge(bundled, override) {
+    const merged = {
+      version: bundled.version,
+      default: { ...bundled.default },
+      profiles: [...bundled.profiles]
+    };
+
+    if (!override) {
+      return merged;
+    }
+
+    merged.version = Math.max(bundled.version, override.version || 0);
+    Object.assign(merged.default, override.default || {});
+
+    for (const profile of [...(override.profiles || [])].reverse()) {
+      const index = merged.profiles.findIndex(candidate => candidate.name === profile.name);
+      if (index === -1) {
+        merged.profiles.unshift(profile);
+      } else if ((profile.version || 0) >= (merged.profiles[index].version || 0)) {
+        merged.profiles[index] = profile;
+      } else {
+        logger.warn('Ignoring outdated selector profile override', {
+          profile: profile.name,
+          version: profile.version,
+          bundledVersion: merged.profiles[index].version
+        });
+      }
+    }
+
+    return merged;
+  }
+}
+
+module.exports = SelectorProfiles;
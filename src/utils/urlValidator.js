@@ -1,5 +1,10 @@
 const { logger } = require('./logger');
 
+// DocSend links: single documents (/view/<id>, /view/<id>/d/<id>) and spaces / data rooms (/view/s/<id>)
+const DOCSEND_URL_SEARCH_PATTERN = /https?:\/\/docsend\.com\/view\/[a-zA-Z0-9]+(\/[a-zA-Z0-9\/]+)?(\?[^\s]*)?/;
+const DOCSEND_URL_PATTERN = new RegExp(`^${DOCSEND_URL_SEARCH_PATTERN.source}$`);
+const SPACE_PATH_PATTERN = /^\/view\/s\/([a-zA-Z0-9]+)\/?$/;
+
 class URLValidator {
   // Validate DocSend URL format
   static validateDocSendURL(url) {
@@ -29,13 +34,14 @@ class URLValidator {
 
       // Validate path format
       const pathPattern = /^\/view\/[a-zA-Z0-9]+$/;
-      if (!pathPattern.test(urlObj.pathname)) {
-        return { valid: false, error: 'Invalid DocSend path format. Expected: /view/{id}' };
+      const spaceMatch = urlObj.pathname.match(SPACE_PATH_PATTERN);
+      if (!pathPattern.test(urlObj.pathname) && !spaceMatch) {
+        return { valid: false, error: 'Invalid DocSend path format. Expected: /view/{id} or /view/s/{id}' };
       }
 
-      // Extract document ID
+      // Extract document ID (the space ID for data room links)
       const pathParts = urlObj.pathname.split('/');
-      const documentId = pathParts[2];
+      const documentId = spaceMatch ? spaceMatch[1] : pathParts[2];
       
       if (!documentId || documentId.length < 3) {
         return { valid: false, error: 'Document ID appears to be invalid' };
@@ -44,6 +50,7 @@ class URLValidator {
       return {
         valid: true,
         documentId,
+        isSpace: Boolean(spaceMatch),
         cleanUrl: urlObj.origin + urlObj.pathname,
         fullUrl: trimmedUrl
       };
@@ -107,6 +114,27 @@ class URLValidator {
     return validation.valid ? validation.documentId : null;
   }
 
+  // Check if a command argument is a supported DocSend document or space link
+  static isSupportedURL(url) {
+    return Boolean(url) && DOCSEND_URL_PATTERN.test(url);
+  }
+
+  // Find the first DocSend link in free text (e.g. an app mention)
+  static findDocSendURL(text) {
+    const match = text ? text.match(DOCSEND_URL_SEARCH_PATTERN) : null;
+    return match ? match[0] : null;
+  }
+
+  // Check if URL points at a DocSend space / data room rather than a single document
+  static isSpaceURL(url) {
+    try {
+      const urlObj = new URL(url);
+      return urlObj.hostname === 'docsend.com' && SPACE_PATH_PATTERN.test(urlObj.pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
   // Check if URL is a DocSend link
   static isDocSendURL(url) {
     if (!url) return false;
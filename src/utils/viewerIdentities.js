@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { config } = require('../config');
+const { logger } = require('./logger');
+const { ViewerIdentityError } = require('./errors');
+
+// Name of the identity built from DOCSEND_VIEWER_EMAIL / EMAIL_INBOX_CREDENTIALS
+const DEFAULT_IDENTITY = 'default';
+
+// Registry of the DocSend viewer identities (email address plus the inbox that receives its codes).
+// The registry file (VIEWER_IDENTITIES_PATH) looks like:
+//   {
+//     "default": "sales",
+//     "identities": {
+//       "sales": { "email": "deals@example.com", "emailProvider": "gmail", "emailCredentialsEnv": "SALES_INBOX_CREDENTIALS" }
+//     },
+//     "channels": { "C0123456789": "sales" }
+//   }
+// Inbox credentials are read from the environment variable named by emailCredentialsEnv
+// (or given inline as emailCredentials). The file is re-read whenever it changes.
+class ViewerIdentities {
+  constructor(options = {}) {
+    this.registryPath = options.registryPath !== undefined ? options.registryPath : config.identities.registryPath;
+    this.overrideUsers = options.overrideUsers !== undefined ? options.overrideUsers : config.identities.overrideUsers;
+    this.cache = null;
+    this.cacheKey = null;
+  }
+
+  // Registry merged with the built-in default identity: { default, identities, channels }
+  getRegistry() {
+    let mtimeMs = null;
+    if (this.registryPath) {
+      try {
+        mtimeMs = fs.statSync(this.registryPath).mtimeMs;
+      } catch (error) {
+        logger.warn('Viewer identity registry not readable, using the default identity', { path: this.registryPath, error: error.message });
+      }
+    }
+
+    const cacheKey = mtimeMs || 'builtin';
+    if (this.cache && this.cacheKey === cacheKey) {
+      return this.cache;
+    }
+
+    const registry = {
+      default: DEFAULT_IDENTITY,
+      identities: {
+        [DEFAULT_IDENTITY]: {
+          email: config.docsend.viewerEmail,
+          emailProvider: config.docsend.emailProvider,
+          emailCredentials: config.docsend.emailCredentials
+        }
+      },
+      channels: {}
+    };
+
+    if (mtimeMs) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+        Object.assign(registry.identities, data.identities || {});
+        Object.assign(registry.channels, data.channels || {});
+        registry.default = data.default || DEFAULT_IDENTITY;
+        logger.info('Loaded viewer identity registry', {
+          path: this.registryPath,
+          identities: Object.keys(registry.identities)
+        });
+      } catch (error) {
+        logger.warn('Ignoring invalid viewer identity registry', { path: this.registryPath, error: error.message });
+      }
+    }
+
+    this.cache = registry;
+    this.cacheKey = cacheKey;
+    return registry;
+  }
+
+  // Resolve a registered identity by name into { name, email, emailProvider, emailCredentials }
+  getIdentity(name) {
+    const identity = this.getRegistry().identities[name];
+    if (!identity || !identity.email) {
+      return null;
+    }
+
+    let emailCredentials = identity.emailCredentials || null;
+    if (identity.emailCredentialsEnv) {
+      try {
+        emailCredentials = JSON.parse(process.env[identity.emailCredentialsEnv] || 'null');
+      } catch (error) {
+        logger.warn('Invalid inbox credentials for viewer identity', { identity: name, env: identity.emailCredentialsEnv });
+        emailCredentials = null;
+      }
+    }
+
+    return {
+      name,
+      email: identity.email,
+      emailProvider: identity.emailProvider || config.docsend.emailProvider,
+      emailCredentials
+    };
+  }
+
+  // Pick the identity for a job: the requested one (allowlisted users only), else the channel's, else the default
+  resolve({ channelId = null, userId = null, requested = null } = {}) {
+    const registry = this.getRegistry();
+
+    if (requested) {
+      if (!this.canOverride(userId)) {
+        throw new ViewerIdentityError(`User is not allowed to choose a viewer identity (${requested})`, {
+          userMessage: 'You are not allowed to choose the viewer identity with `as=`. Leave it out to use this channel\'s identity.'
+        });
+      }
+      const identity = this.getIdentity(requested);
+      if (!identity) {
+        throw new ViewerIdentityError(`Unknown viewer identity: ${requested}`, {
+          userMessage: `There is no viewer identity called "${requested}". Available identities: ${Object.keys(registry.identities).join(', ')}.`
+        });
+      }
+      return identity;
+    }
+
+    const name = (channelId && registry.channels[channelId]) || registry.default;
+    const identity = this.getIdentity(name);
+    if (!identity) {
+      throw new ViewerIdentityError(`Viewer identity "${name}" is not configured`, {
+        userMessage: 'The viewer identity for this channel is not configured. Please contact the bot administrator.'
+      });
+    }
+    return identity;
+  }
+
+  // Whether a user may pick an identity with as=<identity>
+  canOverride(userId) {
+    return Boolean(userId && this.overrideUsers && this.overrideUsers.includes(userId));
+  }
+}
+
+module.exports = ViewerIdentities;
@@ -1,6 +1,23 @@
 const { config, validateConfig } = require('../src/config');
 const URLValidator = require('../src/utils/urlValidator');
-const { redactPII } = require('../src/utils/logger');
+const { redactPII, redactSecrets, redactMetadata, registerSecret, unregisterSecret } = require('../src/utils/logger');
+const { detectImageFormat, getImageExtension } = require('../src/utils/imageFormat');
+const SessionStore = require('../src/services/sessionStore');
+const SelectorProfiles = require('../src/utils/selectorProfiles');
+const ViewerIdentities = require('../src/utils/viewerIdentities');
+const { resolveCaptureProfile } = require('../src/utils/captureProfiles');
+const { getMediaLink, getMediaType, describeMedia } = require('../src/utils/mediaEmbeds');
+const { findHeading } = require('../src/utils/pageHeadings');
+const { resolvePdfStamp, renderStampTemplate } = require('../src/utils/pdfStamps');
+const { resolvePdfEncryption, getPermissionValue } = require('../src/utils/pdfEncryption');
+const SlackService = require('../src/services/slackService');
+const { OtpTimeoutError, ViewerLayoutUnknownError, WrongPasscodeError, toConversionError } = require('../src/utils/errors');
+const { classifyPageState, htmlToText } = require('../src/utils/pageStateClassifier');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makePng, createFakeSharp, createRowImageSharp, loadWithMocks, readPdf, withFakeDom, createFakePage, createFakeChromium, createFakeDeck } = require('./helpers');
 
 describe('DocSend Parser Tests', () => {
   describe('Configuration', () => {
@@ -59,6 +76,26 @@ describe('DocSend Parser Tests', () => {
       });
     });
 
+    test('should recognize space / data room URLs', () => {
+      const result = URLValidator.validateDocSendURL('https://docsend.com/view/s/space123');
+      expect(result.valid).toBe(true);
+      expect(result.isSpace).toBe(true);
+      expect(result.documentId).toBe('space123');
+
+      expect(URLValidator.isSpaceURL('https://docsend.com/view/s/space123')).toBe(true);
+      expect(URLValidator.isSpaceURL('https://docsend.com/view/s/space123/d/doc456')).toBe(false);
+      expect(URLValidator.isSpaceURL('https://docsend.com/view/abc123')).toBe(false);
+    });
+
+    test('should find DocSend URLs in command and mention text', () => {
+      expect(URLValidator.isSupportedURL('https://docsend.com/view/abc123/d/xyz789')).toBe(true);
+      expect(URLValidator.isSupportedURL('https://docsend.com/view/s/space123')).toBe(true);
+      expect(URLValidator.isSupportedURL('https://example.com/view/abc123')).toBe(false);
+      expect(URLValidator.findDocSendURL('<@U123> please https://docsend.com/view/s/space123 output=zip'))
+        .toBe('https://docsend.com/view/s/space123');
+      expect(URLValidator.findDocSendURL('no link here')).toBeNull();
+    });
+
     test('should extract document ID correctly', () => {
       const url = 'https://docsend.com/view/abc123def';
       const documentId = URLValidator.extractDocumentId(url);
@@ -101,6 +138,1017 @@ describe('DocSend Parser Tests', () => {
       expect(redacted).toContain('[OTP]');
       expect(redacted).not.toContain('123456');
     });
+
+    test('should redact passcode options', () => {
+      const redacted = redactSecrets('{"command":"https://docsend.com/view/abc123 passcode=s3cret"}');
+      expect(redacted).toContain('passcode=[PASSCODE]');
+      expect(redacted).not.toContain('s3cret');
+    });
+
+    test('should redact PDF password options but keep pdfpassword=auto', () => {
+      expect(redactSecrets('/docsend-bot https://docsend.com/view/abc123 pdfpassword=topsecret passcode=x'))
+        .toBe('/docsend-bot https://docsend.com/view/abc123 pdfpassword=[PASSWORD] passcode=[PASSCODE]');
+      expect(redactSecrets('pdfpassword=auto')).toBe('pdfpassword=auto');
+    });
+
+    test('should redact registered secrets until unregistered', () => {
+      registerSecret('hunter2');
+      expect(redactSecrets('Typed hunter2 into the gate')).not.toContain('hunter2');
+      unregisterSecret('hunter2');
+      expect(redactSecrets('Typed hunter2 into the gate')).toContain('hunter2');
+    });
+
+    test('should only redact whole tokens and keep secrets shared by two jobs until both finish', () => {
+      registerSecret('1234');
+      registerSecret('1234');
+      unregisterSecret('1234');
+      expect(redactSecrets('Code 1234, job 123456, file a1234.pdf')).toBe('Code [REDACTED], job 123456, file a1234.pdf');
+      unregisterSecret('1234');
+      expect(redactSecrets('Code 1234')).toBe('Code 1234');
+
+      registerSecret('abc');
+      expect(redactSecrets('abc')).toBe('abc');
+      unregisterSecret('abc');
+    });
+
+    test('should redact short secrets held in log metadata fields', () => {
+      registerSecret('42');
+      try {
+        expect(redactMetadata({ jobId: 'job-42', code: '42', pages: 42 }))
+          .toBe('{"jobId":"job-42","code":"[REDACTED]","pages":"[REDACTED]"}');
+      } finally {
+        unregisterSecret('42');
+      }
+    });
+
+    test('should redact passcodes and PDF passwords in JSON key form', () => {
+      expect(redactMetadata({ passcode: 'x"y', pdfPassword: 'hunter2', options: { pdfpassword: 'auto' } }))
+        .toBe('{"passcode":"[PASSCODE]","pdfPassword":"[PASSWORD]","options":{"pdfpassword":"auto"}}');
+    });
+  });
+
+  describe('Image Format Detection', () => {
+    const pad = (bytes) => Buffer.concat([Buffer.from(bytes), Buffer.alloc(16)]);
+
+    test('should detect PNG, JPEG and WebP buffers', () => {
+      expect(detectImageFormat(pad([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe('png');
+      expect(detectImageFormat(pad([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpeg');
+      expect(detectImageFormat(pad([...Buffer.from('RIFF'), 0, 0, 0, 0, ...Buffer.from('WEBP')]))).toBe('webp');
+    });
+
+    test('should return null for unknown or empty data', () => {
+      expect(detectImageFormat(Buffer.from('<html></html>'))).toBeNull();
+      expect(detectImageFormat(null)).toBeNull();
+      expect(getImageExtension(pad([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpg');
+    });
+  });
+
+  describe('PDF Text Layer', () => {
+    test('should write extractable words where they sit on the slide', async () => {
+      const PDFService = loadWithMocks('../src/services/pdfService', { sharp: () => createFakeSharp() });
+      const pdfService = new PDFService();
+      const pdfDoc = await PDFDocument.create();
+      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      const page = await pdfService.addPageToPDF(pdfDoc, makePng(400, 300), 1, {
+        font,
+        textItems: [
+          { text: 'Quarterly', x: 0.1, y: 0.1, width: 0.3, height: 0.08 },
+          { text: 'revenue', x: 0.5, y: 0.6, width: 0.25, height: 0.05 }
+        ]
+      });
+
+      // The image is centred on the page, words are placed inside its box
+      const image = pdfService.calculateTargetDimensions(400, 300);
+      const imageX = (page.getWidth() - image.width) / 2;
+      const pdf = await readPdf(await pdfDoc.save());
+      const items = (await (await pdf.getPage(1)).getTextContent()).items.filter(item => item.str.trim());
+
+      expect(items.map(item => item.str)).toEqual(['Quarterly', 'revenue']);
+      expect(items[0].transform[4]).toBeCloseTo(imageX + 0.1 * image.width, 0);
+      expect(items[1].transform[4]).toBeCloseTo(imageX + 0.5 * image.width, 0);
+      expect(items[0].transform[5]).toBeGreaterThan(items[1].transform[5]);
+    });
+
+    test('should read visible words from the viewer DOM as fractions of the page', async () => {
+      const DocSendService = loadWithMocks('../src/services/docsendService', { sharp: () => createFakeSharp() });
+      const service = Object.create(DocSendService.prototype);
+      service.page = createFakePage();
+
+      const items = await withFakeDom([
+        { textContent: 'Total  ARR', parentElement: { tagName: 'H1' }, box: { left: 100, top: 50, charWidth: 10, height: 40 } },
+        { textContent: 'tracking()', parentElement: { tagName: 'SCRIPT' }, box: { left: 0, top: 0, charWidth: 10, height: 10 } },
+        { textContent: 'hidden', parentElement: { tagName: 'SPAN', hidden: true }, box: { left: 0, top: 0, charWidth: 10, height: 10 } }
+      ], () => service.extractPageText('page'));
+
+      expect(items).toEqual([
+        { text: 'Total', x: 0.1, y: 0.1, width: 0.05, height: 0.08 },
+        { text: 'ARR', x: 0.17, y: 0.1, width: 0.03, height: 0.08 }
+      ]);
+    });
+  });
+
+  describe('PDF Compression', () => {
+    test('should step up compression until the PDF fits its budget, and only without one build once', async () => {
+      const PDFService = loadWithMocks('../src/services/pdfService', { sharp: () => createFakeSharp() });
+      const pdfService = new PDFService();
+      const steps = [];
+      const build = async (compression) => {
+        steps.push(compression);
+        return Buffer.alloc(1000 / steps.length);
+      };
+
+      expect((await pdfService.buildWithinBudget(300, build)).length).toBe(250);
+      expect(steps.map(step => step.quality)).toEqual([null, 75, 60, 45]);
+
+      steps.length = 0;
+      expect((await pdfService.buildWithinBudget(0, build)).length).toBe(1000);
+      expect(steps).toHaveLength(1);
+
+      steps.length = 0;
+      expect((await pdfService.buildWithinBudget(1, build)).length).toBeGreaterThan(1);
+      expect(steps[steps.length - 1].quality).toBe(35);
+
+      expect(pdfService.getCompressionStats(0, 1000)).toBeNull();
+      expect(new SlackService().formatCompressionLine(null)).toBe('');
+    });
+
+    test('should keep lossless PNG at the first step and the smaller of PNG and JPEG after it', async () => {
+      const load = sizes => {
+        const sharp = createFakeSharp(sizes);
+        const PDFService = loadWithMocks('../src/services/pdfService', { sharp: () => sharp });
+        return { sharp, pdfService: new PDFService() };
+      };
+      const page = makePng(400, 300);
+      const lossy = { quality: 60, resolution: 0.75 };
+
+      const lossless = load({ pngSize: 500, jpegSize: 100 });
+      expect((await lossless.pdfService.processImage(page)).length).toBe(500);
+      expect(lossless.sharp.calls.map(call => call.format)).toEqual(['png']);
+      expect(await lossless.pdfService.processImage(page, { nativeResolution: true })).toBe(page);
+
+      const photo = load({ pngSize: 500, jpegSize: 100 });
+      expect((await photo.pdfService.processImage(page, { compression: lossy })).length).toBe(100);
+      expect(photo.sharp.calls).toEqual([
+        { format: 'png', options: expect.objectContaining({ palette: true, quality: 60 }) },
+        { format: 'jpeg', options: expect.objectContaining({ quality: 60 }) }
+      ]);
+
+      const flat = load({ pngSize: 80, jpegSize: 100 });
+      expect((await flat.pdfService.processImage(page, { compression: lossy, nativeResolution: true })).length).toBe(80);
+    });
+  });
+
+  describe('PDF Page Layout', () => {
+    test('should size fit-mode pages like their slides and stand-in pages like their neighbours', async () => {
+      const PDFService = loadWithMocks('../src/services/pdfService', { sharp: () => createFakeSharp() });
+      const pdfService = new PDFService();
+      pdfService.pageMode = 'fit';
+      const pdfBuffer = await pdfService.createPDF([
+        { pageNumber: 1, data: makePng(400, 300) },
+        { pageNumber: 2, placeholder: true, error: 'timeout' },
+        { pageNumber: 3, data: makePng(300, 400) }
+      ], { ocr: false, targetSizeBytes: 0, stamp: { cover: true }, provenance: { title: 'Deck' } });
+
+      const pdfDoc = await PDFDocument.load(pdfBuffer);
+      const [cover, landscape, placeholder, portrait] = pdfDoc.getPages().map(page => page.getMediaBox());
+      expect(landscape.width / landscape.height).toBeCloseTo(4 / 3, 2);
+      expect(portrait.width / portrait.height).toBeCloseTo(3 / 4, 2);
+      expect(placeholder).toEqual(landscape);
+      expect(cover).toEqual(landscape);
+    });
+
+    test('should keep paper-mode pages at paper size and stamp the header and footer inside them', async () => {
+      const PDFService = loadWithMocks('../src/services/pdfService', { sharp: () => createFakeSharp() });
+      const pdfService = new PDFService();
+      pdfService.pageMode = 'paper';
+      const paper = pdfService.getPageDimensions();
+      const stamp = { header: 'Confidential', footer: 'Page {page}' };
+      const pdfBuffer = await pdfService.createPDF([{ pageNumber: 1, data: makePng(paper.width, paper.height) }], {
+        ocr: false,
+        targetSizeBytes: 0,
+        stamp
+      });
+
+      const pdfDoc = await PDFDocument.load(pdfBuffer);
+      expect(pdfDoc.getPages()[0].getMediaBox()).toEqual({ x: 0, y: 0, width: paper.width, height: paper.height });
+
+      const { top, bottom } = pdfService.getStampBands(stamp);
+      const page = await (await readPdf(pdfBuffer)).getPage(1);
+      const { items } = await page.getTextContent();
+      const baseline = text => items.find(item => item.str === text).transform[5];
+      expect(baseline('Confidential')).toBeGreaterThan(paper.height - top);
+      expect(baseline('Confidential')).toBeLessThan(paper.height);
+      expect(baseline('Page 1')).toBeGreaterThan(0);
+      expect(baseline('Page 1')).toBeLessThan(bottom);
+    });
+
+    test('should nest the slides after a section divider under it in the outline', async () => {
+      const PDFService = loadWithMocks('../src/services/pdfService', { sharp: () => createFakeSharp() });
+      const headings = [
+        { title: 'Acme', section: true },
+        { title: 'Market', section: true },
+        { title: 'TAM', section: false },
+        null,
+        { title: 'Team', section: true },
+        { title: 'Founders', section: false }
+      ];
+      const pdfBuffer = await new PDFService().createPDF(
+        headings.map((heading, index) => ({ pageNumber: index + 1, data: makePng(40, 30), heading })),
+        { ocr: false, targetSizeBytes: 0 }
+      );
+
+      const pdf = await readPdf(pdfBuffer);
+      const tree = items => items.map(item => (item.items.length > 0 ? { [item.title]: tree(item.items) } : item.title));
+      const outline = await pdf.getOutline();
+      expect(tree(outline)).toEqual(['Acme', { Market: ['TAM', 'Page 4'] }, { Team: ['Founders'] }]);
+      expect(await pdf.getPageIndex(outline[2].dest[0])).toBe(4);
+      expect(await pdf.getPageIndex(outline[1].items[1].dest[0])).toBe(3);
+    });
+  });
+
+  describe('Combined PDF', () => {
+    test('should add documents as they arrive and put the cover in front of them', async () => {
+      const PDFService = loadWithMocks('../src/services/pdfService', { sharp: () => createFakeSharp() });
+      const pdfService = new PDFService();
+      const combined = await pdfService.startCombinedPDF({ ocr: false, targetSizeBytes: 0, documentCount: 2 });
+      await pdfService.addCombinedDocument(combined, {
+        name: 'Deck',
+        folderPath: ['Pitch'],
+        screenshots: [{ pageNumber: 1, data: makePng(40, 30) }, { pageNumber: 2, data: makePng(40, 30) }]
+      });
+      await pdfService.addCombinedDocument(combined, {
+        name: 'Model',
+        folderPath: [],
+        screenshots: [{ pageNumber: 1, data: makePng(40, 30) }]
+      });
+      const pdfBuffer = await pdfService.finishCombinedPDF(combined, {
+        stamp: { cover: true },
+        provenance: { title: 'Data room' }
+      });
+
+      const pdf = await readPdf(pdfBuffer);
+      expect(pdf.numPages).toBe(4);
+      const cover = await (await pdf.getPage(1)).getTextContent();
+      expect(cover.items.map(item => item.str)).toContain('Data room');
+
+      const outline = await pdf.getOutline();
+      const pageOf = item => pdf.getPageIndex(item.dest[0]);
+      expect(outline.map(item => item.title)).toEqual(['Pitch', 'Model']);
+      expect(outline[0].items.map(item => item.title)).toEqual(['Deck']);
+      expect(await pageOf(outline[0].items[0])).toBe(1);
+      expect(await pageOf(outline[1])).toBe(3);
+    });
+  });
+
+  describe('OCR Service', () => {
+    // Load the service against a stubbed Tesseract worker (and sharp, which only reads the image size)
+    function loadOCRService(worker, startupMs) {
+      let OCRService;
+      jest.isolateModules(() => {
+        jest.doMock('sharp', () => () => ({ metadata: async () => ({ width: 100, height: 50 }) }));
+        jest.doMock('tesseract.js', () => ({
+          createWorker: () => new Promise(resolve => setTimeout(() => resolve(worker), startupMs))
+        }));
+        OCRService = require('../src/services/ocrService');
+      });
+      return new OCRService();
+    }
+
+    test('should not count worker startup against the page time budget', async () => {
+      const word = { text: 'Revenue', confidence: 95, bbox: { x0: 10, y0: 5, x1: 60, y1: 15 } };
+      const service = loadOCRService({ recognize: async () => ({ data: { words: [word] } }), terminate: jest.fn() }, 60);
+      service.pageTimeout = 30;
+
+      expect(await service.recognizePage(Buffer.alloc(0), 1)).toEqual([
+        { text: 'Revenue', x: 0.1, y: 0.1, width: 0.5, height: 0.2 }
+      ]);
+    });
+
+    test('should give up on a slow page and terminate the busy worker', async () => {
+      const worker = { recognize: () => new Promise(() => {}), terminate: jest.fn(async () => {}) };
+      const service = loadOCRService(worker, 0);
+      service.pageTimeout = 30;
+
+      expect(await service.recognizePage(Buffer.alloc(0), 1)).toEqual([]);
+      expect(worker.terminate).toHaveBeenCalled();
+      expect(service.worker).toBeNull();
+    });
+
+    test('should time out a stuck worker startup and terminate the worker when it comes up', async () => {
+      const worker = { recognize: jest.fn(), terminate: jest.fn(async () => {}) };
+      const service = loadOCRService(worker, 80);
+      service.startupTimeout = 20;
+
+      expect(await service.recognizePage(Buffer.alloc(0), 1)).toEqual([]);
+      expect(await service.recognizePage(Buffer.alloc(0), 2)).toEqual([]);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(worker.recognize).not.toHaveBeenCalled();
+      expect(worker.terminate).toHaveBeenCalledTimes(1);
+      expect(service.worker).toBeNull();
+    });
+  });
+
+  describe('Browser Pool', () => {
+    const poolOptions = {
+      size: 1,
+      maxContextsPerBrowser: 1,
+      maxMemoryMb: 100,
+      maxJobsPerBrowser: 10,
+      acquireTimeoutMs: 100,
+      healthCheckIntervalMs: 60000,
+      leaseTimeoutMs: 60000
+    };
+
+    // Load the pool against a fake Chromium
+    function loadBrowserPool(chromium, options = {}) {
+      const BrowserPool = loadWithMocks('../src/services/browserPool', { playwright: () => ({ chromium }) });
+      return new BrowserPool({ ...poolOptions, ...options });
+    }
+
+    test('should hand out contexts, queue for a free slot and give up after the acquire timeout', async () => {
+      const chromium = createFakeChromium();
+      const pool = loadBrowserPool(chromium);
+      try {
+        const first = await pool.acquire();
+        const waiting = pool.acquire();
+        await pool.release(first);
+        const second = await waiting;
+
+        expect(second.browser).toBe(first.browser);
+        expect(first.context.close).toHaveBeenCalled();
+        expect(chromium.launchServer).toHaveBeenCalledTimes(1);
+        expect(chromium.launchServer.mock.calls[0][0].args).not.toContain('--single-process');
+        await expect(pool.acquire()).rejects.toMatchObject({ code: 'BROWSER_UNAVAILABLE' });
+      } finally {
+        await pool.shutdown();
+      }
+    });
+
+    test('should reclaim leaked leases and retire browsers over their memory limit', async () => {
+      const chromium = createFakeChromium();
+      const pool = loadBrowserPool(chromium, { leaseTimeoutMs: 500 });
+      try {
+        const lease = await pool.acquire();
+        lease.acquiredAt -= 1000;
+        pool.getMemoryUsageMb = () => 500;
+        await pool.checkHealth();
+
+        expect(lease.released).toBe(true);
+        expect(lease.context.close).toHaveBeenCalled();
+        expect(chromium.browsers[0].close).toHaveBeenCalled();
+        expect(pool.entries).toHaveLength(0);
+      } finally {
+        await pool.shutdown();
+      }
+    });
+
+    test('should replace browsers that crash or have served enough jobs', async () => {
+      const chromium = createFakeChromium();
+      const pool = loadBrowserPool(chromium, { maxJobsPerBrowser: 1 });
+      try {
+        await pool.release(await pool.acquire());
+        expect(chromium.browsers[0].close).toHaveBeenCalled();
+
+        const lease = await pool.acquire();
+        expect(lease.browser).toBe(chromium.browsers[1]);
+        chromium.browsers[1].crash();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(pool.entries).toHaveLength(0);
+
+        await pool.release(lease);
+        expect((await pool.acquire()).browser).toBe(chromium.browsers[2]);
+      } finally {
+        await pool.shutdown();
+      }
+    });
+
+    test('should close every browser on shutdown and refuse new leases', async () => {
+      const chromium = createFakeChromium();
+      const pool = loadBrowserPool(chromium, { size: 2 });
+      await pool.warmUp();
+      await pool.shutdown();
+
+      expect(chromium.browsers.map(browser => browser.close.mock.calls.length)).toEqual([1, 1]);
+      expect(pool.entries).toHaveLength(0);
+      await expect(pool.acquire()).rejects.toMatchObject({ code: 'BROWSER_UNAVAILABLE' });
+    });
+  });
+
+  describe('Slide Navigation', () => {
+    // A viewer service over a fake deck, with short transition timeouts
+    function loadDeck(deckOptions) {
+      const DocSendService = loadWithMocks('../src/services/docsendService', { sharp: () => createFakeSharp() }, config => {
+        Object.assign(config.capture, { transitionTimeoutMs: 50, transitionPollMs: 1, pageRetries: 1 });
+      });
+      const service = Object.create(DocSendService.prototype);
+      Object.assign(service, { capturedPages: [], failedPages: [], closed: false });
+      return { service, deck: createFakeDeck(service, deckOptions) };
+    }
+
+    test('should wait for a changing slide to settle before reporting the transition', async () => {
+      const { service } = loadDeck({ pages: 3 });
+      const samples = ['1', '2a', '2b', '2b'].map(key => ({ key, loaded: true }));
+      service.getSlideSignature = async () => samples.shift() || { key: '2b', loaded: true };
+
+      expect(await service.waitForSlideTransition({ key: '1', loaded: true }))
+        .toEqual({ changed: true, settled: true, signature: { key: '2b', loaded: true } });
+    });
+
+    test('should tell a click that moved the deck from one that did not', async () => {
+      const { service, deck } = loadDeck({ pages: 2 });
+      const next = await service.findNavigationButton('nextButton');
+
+      expect(await service.advanceSlide(next)).toBe(true);
+      expect(deck.current).toBe(2);
+      expect(await service.advanceSlide(next)).toBe(false);
+      expect(deck.current).toBe(2);
+    });
+
+    test('should jump with the page input, or the arrow keys without one, and step to neighbours', async () => {
+      const withInput = loadDeck({ pages: 20 });
+      await withInput.service.navigateToPage(12);
+      expect(withInput.deck).toEqual({ current: 12, clicks: 0, keys: 0 });
+      await withInput.service.navigateToPage(13);
+      expect(withInput.deck).toEqual({ current: 13, clicks: 1, keys: 0 });
+
+      const withoutInput = loadDeck({ pages: 20, pageInput: false });
+      await withoutInput.service.navigateToPage(12);
+      expect(withoutInput.deck).toEqual({ current: 12, clicks: 0, keys: 11 });
+      expect(withoutInput.service.currentPage).toBe(12);
+    });
+
+    test('should reload and retry a failing page, then leave a placeholder', async () => {
+      const { service } = loadDeck({ pages: 5 });
+      service.recoverViewer = jest.fn(async () => {});
+      service.capturePage = jest.fn(async () => { throw new Error('slide image never loaded'); });
+
+      expect(await service.capturePageWithRetry(3))
+        .toEqual({ pageNumber: 3, placeholder: true, error: 'slide image never loaded' });
+      expect(service.capturePage).toHaveBeenCalledTimes(2);
+      expect(service.recoverViewer).toHaveBeenCalledTimes(1);
+      expect(service.failedPages).toEqual([3]);
+    });
+
+    test('should deliver the requested pages that exist and list the ones past the end', async () => {
+      const loadHundredPages = () => {
+        const { service } = loadDeck({ pages: 100 });
+        service.detectScrollViewer = async () => null;
+        service.recoverViewer = jest.fn(async () => {});
+        service.capturePage = async pageNumber => ({ data: Buffer.from(`page ${pageNumber}`) });
+        return service;
+      };
+
+      const service = loadHundredPages();
+      const screenshots = await service.captureAllPages([150, 1, 160]);
+      expect(screenshots.map(page => page.pageNumber)).toEqual([1]);
+      expect(service.outOfRangePages).toEqual([150, 160]);
+      expect(service.recoverViewer).not.toHaveBeenCalled();
+
+      await expect(loadHundredPages().captureAllPages([150])).rejects.toMatchObject({
+        code: 'PAGE_OUT_OF_RANGE',
+        details: { pageNumber: 150, lastPage: 100 }
+      });
+    });
+  });
+
+  describe('Scroll Documents', () => {
+    test('should cut stitched tiles at the document\'s own page tops, or else at a blank row', async () => {
+      const sharp = createRowImageSharp();
+      const { stitchScrollPages } = loadWithMocks('../src/utils/scrollStitcher', { sharp: () => sharp });
+      const rowsOf = page => JSON.parse(page.data.toString()).rows;
+
+      // The last tile is clamped to the end of the content, so it overlaps the one before
+      const content = Array.from({ length: 160 }, (_, y) => y);
+      const tiles = [
+        { top: 0, height: 100, data: sharp.encode(4, content.slice(0, 100)) },
+        { top: 60, height: 100, data: sharp.encode(4, content.slice(60, 160)) }
+      ];
+      const pages = await stitchScrollPages(tiles, { pageHeight: 120, pageTops: [80] });
+      expect(pages.map(({ top, bottom }) => [top, bottom])).toEqual([[0, 80], [80, 160]]);
+      expect(rowsOf(pages[1])).toEqual(content.slice(80, 160));
+
+      const text = Array.from({ length: 100 }, (_, y) => (y === 45 ? 255 : 'ink'));
+      const unbroken = await stitchScrollPages([{ top: 0, height: 100, data: sharp.encode(4, text) }], { pageHeight: 50 });
+      expect(unbroken.map(({ top, bottom }) => [top, bottom])).toEqual([[0, 46], [46, 100]]);
+    });
+
+    test('should keep each word once where tiles overlap', async () => {
+      const DocSendService = loadWithMocks('../src/services/docsendService', { sharp: () => createFakeSharp() });
+      const service = Object.create(DocSendService.prototype);
+      const word = (text, top, x = 0.1) => ({ text, x, width: 0.1, top, height: 12 });
+
+      const words = service.addScrollWords([], [word('Revenue', 900), word('grew', 900, 0.25)]);
+      service.addScrollWords(words, [word('Revenue', 901), word('grew', 900, 0.25), word('Revenue', 1400)]);
+
+      expect(words.map(({ text, top }) => `${text}@${top}`)).toEqual(['Revenue@900', 'grew@900', 'Revenue@1400']);
+    });
+  });
+
+  describe('Viewer Cleanup', () => {
+    test('should hand the browser lease back even when the rest of the cleanup fails', async () => {
+      const DocSendService = loadWithMocks('../src/services/docsendService', { sharp: () => createFakeSharp() });
+      const service = Object.create(DocSendService.prototype);
+      const lease = { id: 'lease-1' };
+      const browserPool = { release: jest.fn(async () => {}) };
+      Object.assign(service, {
+        lease,
+        browserPool,
+        ownsPool: false,
+        otp: null,
+        pageImageUrls: new Map(),
+        imageResponses: new Map(),
+        mediaPosters: new Map(),
+        diagnostics: { discard: async () => { throw new Error('trace file locked'); } }
+      });
+
+      await service.cleanup();
+
+      expect(browserPool.release).toHaveBeenCalledWith(lease);
+      expect(service.lease).toBeNull();
+      expect(service.closed).toBe(true);
+    });
+  });
+
+  describe('Session Store', () => {
+    const email = 'viewer@example.com';
+    const storageState = { cookies: [{ name: 'session', value: 'abc' }], origins: [] };
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'docsend-sessions-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should save encrypted sessions and load them back', async () => {
+      const store = new SessionStore({ enabled: true, directory, ttlHours: 1, encryptionKey: 'test-key' });
+      await store.save(email, storageState);
+
+      const onDisk = fs.readFileSync(store.getSessionPath(email), 'utf8');
+      expect(onDisk).not.toContain('abc');
+      expect(onDisk).not.toContain(email);
+      expect(await store.load(email)).toEqual(storageState);
+    });
+
+    test('should turn reuse off with SESSION_TTL_HOURS=0', async () => {
+      process.env.SESSION_TTL_HOURS = '0';
+      try {
+        jest.isolateModules(() => {
+          expect(require('../src/config').config.sessions.ttlHours).toBe(0);
+        });
+      } finally {
+        delete process.env.SESSION_TTL_HOURS;
+      }
+
+      const store = new SessionStore({ enabled: true, directory, ttlHours: 0, encryptionKey: 'test-key' });
+      expect(await store.save(email, storageState)).toBe(false);
+    });
+
+    test('should drop expired sessions and sessions encrypted with another key', async () => {
+      const expired = new SessionStore({ enabled: true, directory, ttlHours: -1, encryptionKey: 'test-key' });
+      await expired.save(email, storageState);
+      expect(await expired.load(email)).toBeNull();
+      expect(fs.existsSync(expired.getSessionPath(email))).toBe(false);
+
+      await new SessionStore({ enabled: true, directory, ttlHours: 1, encryptionKey: 'old-key' }).save(email, storageState);
+      const store = new SessionStore({ enabled: true, directory, ttlHours: 1, encryptionKey: 'new-key' });
+      expect(await store.load(email)).toBeNull();
+    });
+  });
+
+  describe('Selector Profiles', () => {
+    test('should fill every profile from the default selectors', () => {
+      const profiles = new SelectorProfiles({ overridePath: null, profile: null });
+      const defaultKeys = Object.keys(profiles.getProfile(null).selectors);
+
+      for (const name of ['dig', 'legacy']) {
+        const profile = profiles.getProfile(name);
+        expect(profile.name).toBe(name);
+        expect(Object.keys(profile.selectors)).toEqual(defaultKeys);
+      }
+    });
+
+    test('should apply a runtime override and ignore outdated profiles', () => {
+      const overridePath = path.join(os.tmpdir(), `selector-override-${process.pid}.json`);
+      fs.writeFileSync(overridePath, JSON.stringify({
+        version: 2,
+        default: { nextButton: ['.new-next'] },
+        profiles: [
+          { name: 'redesign', version: 1, detect: ['.redesign'], selectors: { viewerRoot: ['.redesign'] } },
+          { name: 'legacy', version: 0, selectors: { viewerRoot: ['.stale'] } }
+        ]
+      }));
+
+      try {
+        const profiles = new SelectorProfiles({ overridePath, profile: null });
+        expect(profiles.getProfiles().profiles[0].name).toBe('redesign');
+        expect(profiles.getProfile('redesign').selectors.nextButton).toEqual(['.new-next']);
+        expect(profiles.getProfile('legacy').selectors.viewerRoot).not.toContain('.stale');
+      } finally {
+        fs.unlinkSync(overridePath);
+      }
+    });
+  });
+
+  describe('Viewer Identities', () => {
+    const registryPath = path.join(os.tmpdir(), `viewer-identities-${process.pid}.json`);
+
+    beforeAll(() => {
+      process.env.TEST_SALES_INBOX = JSON.stringify({ type: 'imap', user: 'deals@example.com' });
+      fs.writeFileSync(registryPath, JSON.stringify({
+        identities: {
+          default: { email: 'viewer@example.com' },
+          sales: { email: 'deals@example.com', emailProvider: 'imap', emailCredentialsEnv: 'TEST_SALES_INBOX' }
+        },
+        channels: { C_SALES: 'sales' }
+      }));
+    });
+
+    afterAll(() => {
+      delete process.env.TEST_SALES_INBOX;
+      fs.unlinkSync(registryPath);
+    });
+
+    test('should use the channel identity, falling back to the default', () => {
+      const identities = new ViewerIdentities({ registryPath, overrideUsers: [] });
+
+      const sales = identities.resolve({ channelId: 'C_SALES', userId: 'U1' });
+      expect(sales).toMatchObject({ name: 'sales', email: 'deals@example.com', emailProvider: 'imap' });
+      expect(sales.emailCredentials.user).toBe('deals@example.com');
+      expect(identities.resolve({ channelId: 'C_OTHER', userId: 'U1' }).name).toBe('default');
+    });
+
+    test('should only let allowlisted users pick an identity', () => {
+      const identities = new ViewerIdentities({ registryPath, overrideUsers: ['U_ADMIN'] });
+
+      expect(identities.resolve({ channelId: 'C_OTHER', userId: 'U_ADMIN', requested: 'sales' }).name).toBe('sales');
+      expect(() => identities.resolve({ userId: 'U1', requested: 'sales' })).toThrow(expect.objectContaining({ code: 'VIEWER_IDENTITY_INVALID' }));
+      expect(() => identities.resolve({ userId: 'U_ADMIN', requested: 'missing' })).toThrow(/Unknown viewer identity/);
+    });
+  });
+
+  describe('Capture Profiles', () => {
+    test('should resolve requested, channel and default profiles', () => {
+      config.capture.channelProfiles = { C_DENSE: 'hidpi3x' };
+      try {
+        expect(resolveCaptureProfile({ requested: 'hidpi2x', channelId: 'C_DENSE' })).toMatchObject({ deviceScaleFactor: 2, memoryScale: 2 });
+        expect(resolveCaptureProfile({ channelId: 'C_DENSE' }).deviceScaleFactor).toBe(3);
+        expect(resolveCaptureProfile({ channelId: 'C_OTHER' })).toMatchObject({ name: 'standard', viewport: { width: 1920, height: 1080 } });
+        expect(() => resolveCaptureProfile({ requested: 'print' })).toThrow(expect.objectContaining({ code: 'INVALID_OPTION' }));
+      } finally {
+        config.capture.channelProfiles = {};
+      }
+    });
+  });
+
+  describe('Media Embeds', () => {
+    test('should link embeds to their watch page and label them', () => {
+      expect(getMediaLink('https://www.youtube.com/embed/dQw4w9WgXcQ?autoplay=0')).toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+      expect(getMediaLink('https://player.vimeo.com/video/76979871?h=8272103f6e')).toBe('https://vimeo.com/76979871');
+      expect(getMediaLink('blob:https://docsend.com/1234')).toBeNull();
+      expect(getMediaType('IFRAME', 'https://www.loom.com/embed/abc')).toBe('video');
+      expect(getMediaType('IFRAME', 'https://www.figma.com/embed?node=1')).toBe('interactive');
+      expect(describeMedia({ type: 'video', duration: 3725 })).toBe('video, 1:02:05');
+      expect(describeMedia({ type: 'interactive', duration: null })).toBe('interactive');
+    });
+
+    test('should only report embeds on the slide and take each poster once', async () => {
+      const DocSendService = loadWithMocks('../src/services/docsendService', { sharp: () => createFakeSharp() });
+      const service = Object.create(DocSendService.prototype);
+      const screenshot = jest.fn(async () => Buffer.from('poster'));
+      const embed = (tagName, src, left, top) => ({
+        tagName,
+        src,
+        getAttribute: () => null,
+        getBoundingClientRect: () => ({ left, top, right: left + 200, bottom: top + 100, width: 200, height: 100 })
+      });
+      Object.assign(service, {
+        page: createFakePage({ screenshot }),
+        mediaPosters: new Map(),
+        getRegionBounds: async () => ({ left: 100, top: 100, width: 400, height: 200 })
+      });
+
+      const media = await withFakeDom([], async () => {
+        global.document.querySelectorAll = () => [
+          embed('IFRAME', 'https://www.youtube.com/embed/abc', 200, 150),
+          embed('IFRAME', 'https://www.youtube.com/embed/side', 600, 150),
+          embed('IFRAME', 'https://www.loom.com/embed/edge', 400, 250)
+        ];
+        return [await service.detectPageMedia('image'), await service.detectPageMedia('image')];
+      });
+
+      expect(media[0].map(({ src, x, y, width, height }) => ({ src, x, y, width, height }))).toEqual([
+        { src: 'https://www.youtube.com/embed/abc', x: 0.25, y: 0.25, width: 0.5, height: 0.5 },
+        { src: 'https://www.loom.com/embed/edge', x: 0.75, y: 0.75, width: 0.25, height: 0.25 }
+      ]);
+      expect(media[1]).toHaveLength(2);
+      expect(screenshot).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Page Headings', () => {
+    const word = (text, x, y, height) => ({ text, x, y, width: 0.05, height });
+    const body = Array.from({ length: 30 }, (_, i) => word(`word${i}`, (i % 10) * 0.08, 0.3 + Math.floor(i / 10) * 0.05, 0.02));
+
+    test('should take the largest text as the heading and skip plain body pages', () => {
+      const slide = [word('Market', 0.1, 0.05, 0.06), word('Size', 0.3, 0.05, 0.06), word('Overview', 0.1, 0.11, 0.06), ...body];
+      expect(findHeading(slide)).toEqual({ title: 'Market Size Overview', section: false });
+      expect(findHeading(body)).toBeNull();
+    });
+
+    test('should mark short pages as section dividers', () => {
+      const divider = [word('Appendix', 0.4, 0.45, 0.08), word('Confidential', 0.4, 0.9, 0.02)];
+      expect(findHeading(divider)).toEqual({ title: 'Appendix', section: true });
+    });
+  });
+
+  describe('PDF Stamps', () => {
+    test('should fill known placeholders and keep unknown ones', () => {
+      const footer = '{label} - page {page} of {pages} - {requester} {typo}';
+      expect(renderStampTemplate(footer, { label: 'Confidential', page: 2, pages: 9, requester: null }))
+        .toBe('Confidential - page 2 of 9 - {typo}');
+    });
+
+    test('should apply per-channel overrides on top of the defaults', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-stamps-'));
+      const stampsPath = path.join(tempDir, 'stamps.json');
+      fs.writeFileSync(stampsPath, JSON.stringify({ C_LEGAL: { label: 'Privileged', cover: true } }));
+      const original = { ...config.pdf.stamp };
+      Object.assign(config.pdf.stamp, { footer: 'Page {page}', channelsPath: stampsPath });
+      try {
+        expect(resolvePdfStamp('C_LEGAL')).toMatchObject({ footer: 'Page {page}', label: 'Privileged', cover: true });
+        expect(resolvePdfStamp('C_OTHER')).toMatchObject({ footer: 'Page {page}', label: '', cover: false });
+      } finally {
+        Object.assign(config.pdf.stamp, original);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('PDF Encryption', () => {
+    test('should turn permission names into the PDF P value', () => {
+      expect(getPermissionValue(['print'])).toBe(-3900);
+      expect(() => getPermissionValue(['print', 'screenshot'])).toThrow(expect.objectContaining({ code: 'INVALID_OPTION' }));
+    });
+
+    test('should take the password from the request or the channel, sharing only generated ones', () => {
+      const original = { ...config.pdf.encryption };
+      process.env.TEST_LEGAL_PDF_PASSWORD = 'channel-secret';
+      Object.assign(config.pdf.encryption, { channels: { C_LEGAL: 'TEST_LEGAL_PDF_PASSWORD' }, permissions: ['print'] });
+      try {
+        expect(resolvePdfEncryption({ channelId: 'C_OTHER' })).toBeNull();
+        expect(resolvePdfEncryption({ channelId: 'C_OTHER', requested: 'mine' }))
+          .toMatchObject({ userPassword: 'mine', permissions: ['print'], shareWithRequester: false });
+        expect(resolvePdfEncryption({ channelId: 'C_LEGAL' }))
+          .toMatchObject({ userPassword: 'channel-secret', shareWithRequester: true });
+
+        const generated = resolvePdfEncryption({ requested: 'auto' });
+        expect(generated.userPassword).toMatch(/^[\w-]{12}$/);
+        expect(generated.shareWithRequester).toBe(true);
+      } finally {
+        Object.assign(config.pdf.encryption, original);
+        delete process.env.TEST_LEGAL_PDF_PASSWORD;
+      }
+    });
+
+    test('should save a PDF that only opens with its password', async () => {
+      const PDFService = loadWithMocks('../src/services/pdfService', { sharp: () => createFakeSharp() });
+      const pdfBuffer = await new PDFService().createPDF([{ pageNumber: 1, data: makePng(40, 30) }], {
+        ocr: false,
+        targetSizeBytes: 0,
+        encryption: { userPassword: 'open-sesame', ownerPassword: 'owner-secret', permissions: ['print'] }
+      });
+
+      await expect(readPdf(pdfBuffer)).rejects.toMatchObject({ name: 'PasswordException' });
+      await expect(readPdf(pdfBuffer, { password: 'wrong' })).rejects.toMatchObject({ name: 'PasswordException' });
+      const pdf = await readPdf(pdfBuffer, { password: 'open-sesame' });
+      expect(pdf.numPages).toBe(1);
+    });
+  });
+
+  describe('Job Processor', () => {
+    const page = { pageNumber: 1, data: Buffer.from('page'), media: [] };
+
+    // Load the job processor with stubbed browser, PDF and Slack services (the real ones need Chromium and sharp)
+    function loadJobProcessor({ slack, createPDF, timeoutSeconds = 5, partialTimeoutSeconds = 5, pdf = {}, docsend = {}, stamp = {} }) {
+      let JobProcessor;
+      jest.isolateModules(() => {
+        jest.doMock('../src/services/browserPool', () => class {});
+        jest.doMock('../src/utils/viewerIdentities', () => class {
+          resolve() { return { name: 'default' }; }
+        });
+        jest.doMock('../src/services/slackService', () => function () { return slack; });
+        jest.doMock('../src/services/pdfService', () => class {
+          constructor() {
+            Object.assign(this, { createPDF }, pdf);
+          }
+          isWithinSlackLimit() { return true; }
+          getFileSizeMB() { return '0.01'; }
+          getCompressionStats() { return null; }
+        });
+        jest.doMock('../src/services/docsendService', () => class {
+          constructor() {
+            Object.assign(this, { metadata: null, failedPages: [], capturedPages: [page], identity: null }, docsend);
+          }
+          useIdentity(identity) { this.identity = identity; }
+          useCaptureProfile(profile) { this.captureProfile = profile; }
+          async initializeBrowser() {}
+          async navigateToDocSend() {}
+          async captureAllPages() { return [page]; }
+          async collectDiagnostics() { return null; }
+          async cleanup() {}
+        });
+        JobProcessor = require('../src/services/jobProcessor');
+        const jobConfig = require('../src/config').config;
+        Object.assign(jobConfig.rateLimiting, { timeoutSeconds, partialTimeoutSeconds });
+        Object.assign(jobConfig.pdf.stamp, stamp);
+      });
+      return new JobProcessor();
+    }
+
+    test('should not deliver the full PDF when the deadline fires during PDF creation', async () => {
+      const slack = {
+        uploadPDF: jest.fn(async () => {}),
+        sendSuccessMessage: jest.fn(async () => {}),
+        sendErrorMessage: jest.fn(async () => {}),
+        sendPdfPassword: jest.fn(async () => {}),
+        getUserName: async () => 'requester',
+        formatMediaLine: () => '',
+        formatCompressionLine: () => '',
+        formatMetadataLines: () => ''
+      };
+      let finishFullPdf;
+      const fullPdfCreated = new Promise(resolve => { finishFullPdf = resolve; });
+      const createPDF = jest.fn(async (pages, options) => {
+        if (options.ocr !== false) {
+          // The full PDF is still being built when the deadline fires
+          await new Promise(resolve => setTimeout(resolve, 150));
+          finishFullPdf();
+        }
+        return Buffer.from('%PDF');
+      });
+
+      const processor = loadJobProcessor({ slack, createPDF, timeoutSeconds: 0.05 });
+      await processor.processJob({ userId: 'U1', channelId: 'C1', url: 'https://docsend.com/view/abc123', ocr: true });
+      // The full PDF, then the partial one from the timeout handler
+      expect(createPDF).toHaveBeenCalledTimes(2);
+      await fullPdfCreated;
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(slack.sendErrorMessage).toHaveBeenCalledWith('C1', expect.objectContaining({ code: 'JOB_TIMEOUT' }), expect.anything(), undefined);
+      expect(slack.uploadPDF).toHaveBeenCalledTimes(1);
+      expect(slack.uploadPDF.mock.calls[0][2]).toMatch(/partial/);
+      expect(slack.sendSuccessMessage).not.toHaveBeenCalled();
+    });
+
+    test('should give up on a partial PDF that outruns its own time budget', async () => {
+      const slack = {
+        uploadPDF: jest.fn(async () => {}),
+        sendErrorMessage: jest.fn(async () => {}),
+        getUserName: async () => 'requester'
+      };
+      let finishPartialPdf;
+      const createPDF = jest.fn(options => new Promise(resolve => { finishPartialPdf = resolve; }));
+      const processor = loadJobProcessor({
+        slack,
+        createPDF,
+        timeoutSeconds: 0.05,
+        partialTimeoutSeconds: 0.05,
+        docsend: { captureAllPages: () => new Promise(() => {}) }
+      });
+
+      await processor.processJob({ userId: 'U1', channelId: 'C1', url: 'https://docsend.com/view/abc123' });
+      finishPartialPdf(Buffer.from('%PDF'));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(createPDF).toHaveBeenCalledTimes(1);
+      expect(slack.sendErrorMessage).toHaveBeenCalledWith('C1', expect.objectContaining({ code: 'JOB_TIMEOUT' }), expect.anything(), undefined);
+      expect(slack.uploadPDF).not.toHaveBeenCalled();
+    });
+
+    test('should stop a data room at the deadline instead of moving on to its next document', async () => {
+      const slack = {
+        sendProgressMessage: jest.fn(async () => ({ ts: '1.0' })),
+        updateMessage: jest.fn(async () => {}),
+        sendErrorMessage: jest.fn(async () => {}),
+        getUserName: async () => 'requester'
+      };
+      const pdf = {
+        startCombinedPDF: async () => ({}),
+        addCombinedDocument: jest.fn(async () => {}),
+        finishCombinedPDF: jest.fn(async () => Buffer.from('%PDF')),
+        closeCombinedPDF: jest.fn(async () => {})
+      };
+      const navigateToDocSend = jest.fn(async () => {});
+      const processor = loadJobProcessor({
+        slack,
+        createPDF: jest.fn(),
+        timeoutSeconds: 0.05,
+        pdf,
+        docsend: {
+          navigateToDocSend,
+          listSpaceDocuments: async () => [
+            { name: 'Deck', url: 'https://docsend.com/view/deck1', folderPath: [] },
+            { name: 'Model', url: 'https://docsend.com/view/model1', folderPath: [] }
+          ],
+          // The first document is still being captured when the deadline fires
+          captureAllPages: () => new Promise(resolve => setTimeout(() => resolve([page]), 150))
+        }
+      });
+
+      await processor.processJob({ userId: 'U1', channelId: 'C1', url: 'https://docsend.com/view/s/room1' });
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(navigateToDocSend).toHaveBeenCalledTimes(2);
+      expect(pdf.addCombinedDocument).not.toHaveBeenCalled();
+      expect(pdf.finishCombinedPDF).not.toHaveBeenCalled();
+      expect(pdf.closeCombinedPDF).toHaveBeenCalled();
+      expect(slack.updateMessage).not.toHaveBeenCalled();
+    });
+
+    test('should only look up the requester when a stamp shows it', async () => {
+      const slack = { getUserName: jest.fn(async () => 'requester') };
+      const jobData = { userId: 'U1', channelId: 'C1', url: 'https://docsend.com/view/abc123' };
+
+      const pageNumbersOnly = loadJobProcessor({ slack, createPDF: jest.fn(), stamp: { header: '', footer: 'Page {page}', cover: false } });
+      expect((await pageNumbersOnly.getStampOptions(jobData, { captureProfile: { name: 'default' } })).provenance.requester).toBeNull();
+      expect(slack.getUserName).not.toHaveBeenCalled();
+
+      const forRequester = loadJobProcessor({ slack, createPDF: jest.fn(), stamp: { header: '', footer: 'For {requester}', cover: false } });
+      expect((await forRequester.getStampOptions(jobData, { captureProfile: { name: 'default' } })).provenance.requester).toBe('requester');
+      expect(slack.getUserName).toHaveBeenCalledWith('U1');
+    });
+
+    test('should only hand a retry with the original passcode to its requester', () => {
+      const processor = loadJobProcessor({ slack: {}, createPDF: jest.fn() });
+      const retryId = processor.saveRetryRequest({ userId: 'U1', channelId: 'C1', passcode: 's3cret' }, [4, 7]);
+
+      expect(processor.getRetryOwner(retryId)).toBe('U1');
+      expect(processor.takeRetryRequest(retryId, 'U2')).toBeNull();
+      expect(processor.takeRetryRequest(retryId, 'U1')).toMatchObject({ userId: 'U1', passcode: 's3cret', pageNumbers: [4, 7] });
+      expect(processor.takeRetryRequest(retryId, 'U1')).toBeNull();
+    });
+  });
+
+  describe('Slack Service', () => {
+    test('should look up an unknown user once and fall back to the user ID', async () => {
+      const slackService = new SlackService();
+      slackService.client = { users: { info: jest.fn(async () => { throw new Error('user_not_found'); }) } };
+
+      expect(await slackService.getUserName('U404')).toBe('U404');
+      expect(await slackService.getUserName('U404')).toBe('U404');
+      expect(slackService.client.users.info).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Error Taxonomy', () => {
+    test('should give each error a stable code and retry flag', () => {
+      expect(new OtpTimeoutError()).toMatchObject({ code: 'OTP_TIMEOUT', retryable: true });
+      expect(new WrongPasscodeError()).toMatchObject({ code: 'WRONG_PASSCODE', retryable: false });
+
+      const wrapped = toConversionError(new Error('boom'));
+      expect(wrapped.code).toBe('UNEXPECTED');
+      expect(wrapped.cause.message).toBe('boom');
+    });
+
+    test('should pick Slack advice from the code, not the message text', () => {
+      const slackService = new SlackService();
+      // The message mentions "email" but the advice must be about the viewer layout
+      const message = slackService.formatErrorMessage(
+        new ViewerLayoutUnknownError('Timeout waiting for selector input[type="email"]'),
+        'https://docsend.com/view/abc123'
+      );
+
+      expect(message).toContain('VIEWER_LAYOUT_UNKNOWN');
+      expect(message).not.toContain('viewer email');
+      expect(message).toContain('retrying could help');
+    });
+  });
+
+  describe('Page State Classifier', () => {
+    const fixturesDir = path.join(__dirname, 'fixtures', 'page-states');
+    const classifyFixture = (name, status = 200) => {
+      const html = fs.readFileSync(path.join(fixturesDir, `${name}.html`), 'utf8');
+      const title = (html.match(/<title>([^<]*)<\/title>/) || [])[1];
+      return classifyPageState({ title, text: htmlToText(html), status });
+    };
+
+    test('should recognize each interstitial fixture', () => {
+      const states = ['expired', 'disabled', 'removed', 'restricted_viewer', 'restricted_domain', 'bot_check', 'not_found'];
+      for (const state of states) {
+        expect(classifyFixture(state)).toMatchObject({ state });
+      }
+    });
+
+    test('should leave gates and the viewer alone, falling back to the HTTP status', () => {
+      // The email gate mentions reCAPTCHA, which is not a bot check
+      expect(classifyFixture('email_gate')).toBeNull();
+      expect(classifyFixture('viewer')).toBeNull();
+      expect(classifyPageState({ text: '', status: 410 })).toMatchObject({ state: 'removed', match: 'HTTP 410' });
+    });
   });
 
   describe('Configuration Defaults', () => {
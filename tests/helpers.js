@@ -0,0 +1,286 @@
+// Shared stand-ins for tests: sharp and Chromium don't run in CI, so the services are loaded against fakes
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Solid grey RGB PNG of the given size
+function makePng(width, height, grey = 200) {
+  const crc = bytes => {
+    let c = 0xffffffff;
+    for (const byte of bytes) {
+      c = CRC_TABLE[(c ^ byte) & 255] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type), data]);
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(crc(body));
+    return Buffer.concat([length, body, checksum]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const raw = Buffer.alloc((width * 3 + 1) * height, grey);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 3 + 1)] = 0;
+  }
+
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// sharp stand-in for the PDF pipeline: metadata is read from the PNG header and encoding passes the
+// input through, unless pngSize / jpegSize ask for outputs of a given size. Encodes are recorded in calls.
+function createFakeSharp({ pngSize = null, jpegSize = null } = {}) {
+  const calls = [];
+  const sharp = (input) => {
+    let output = input;
+    const image = {
+      metadata: async () => ({ width: input.readUInt32BE(16), height: input.readUInt32BE(20), format: 'png' }),
+      resize: () => image,
+      flatten: () => image,
+      clone: () => sharp(input),
+      png: (options) => {
+        calls.push({ format: 'png', options });
+        output = pngSize ? Buffer.alloc(pngSize) : input;
+        return image;
+      },
+      jpeg: (options) => {
+        calls.push({ format: 'jpeg', options });
+        output = jpegSize ? Buffer.alloc(jpegSize) : input;
+        return image;
+      },
+      toBuffer: async () => output
+    };
+    return image;
+  };
+  sharp.calls = calls;
+  return sharp;
+}
+
+// sharp stand-in for images that are a column of rows: a "row image" is JSON { width, rows } where each
+// row is a grey value (a blank row) or 'ink' (a row of text, black and white pixels). Supports what the
+// scroll stitcher uses: metadata, extract, create, composite and raw greyscale. sharp.encode builds an image.
+function createRowImageSharp() {
+  const encode = (width, rows) => Buffer.from(JSON.stringify({ width, rows }));
+  const sharp = (input) => {
+    let { width, rows } = Buffer.isBuffer(input) ? JSON.parse(input.toString()) :
+      { width: input.create.width, rows: Array(input.create.height).fill(input.create.background.r) };
+    const image = {
+      metadata: async () => ({ width, height: rows.length }),
+      extract: ({ top, height }) => {
+        rows = rows.slice(top, top + height);
+        return image;
+      },
+      composite: (layers) => {
+        for (const layer of layers) {
+          JSON.parse(layer.input.toString()).rows.forEach((value, i) => {
+            if (layer.top + i < rows.length) rows[layer.top + i] = value;
+          });
+        }
+        return image;
+      },
+      greyscale: () => image,
+      raw: () => image,
+      png: () => image,
+      toBuffer: async (options) => {
+        if (options && options.resolveWithObject) {
+          // One channel: blank rows are their grey value throughout, ink rows half black and half white
+          const data = Buffer.alloc(width * rows.length);
+          rows.forEach((value, y) => {
+            data.fill(value === 'ink' ? 0 : value, y * width, (y + 1) * width);
+            if (value === 'ink') data.fill(255, y * width, y * width + width / 2);
+          });
+          return { data, info: { width, height: rows.length, channels: 1 } };
+        }
+        return encode(width, rows);
+      }
+    };
+    return image;
+  };
+  sharp.encode = encode;
+  return sharp;
+}
+
+// Load src modules with sharp (and any other module) replaced; returns the required module.
+// Modules loaded this way get their own copy of the config, which configure(config) can adjust.
+function loadWithMocks(modulePath, mocks, configure = null) {
+  let loaded;
+  jest.isolateModules(() => {
+    for (const [name, factory] of Object.entries(mocks)) {
+      jest.doMock(name, factory);
+    }
+    loaded = require(modulePath);
+    if (configure) {
+      configure(require('../src/config').config);
+    }
+  });
+  return loaded;
+}
+
+// Open a PDF with pdf.js, as a reader would
+async function readPdf(bytes, options = {}) {
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  return pdfjs.getDocument({ data: new Uint8Array(bytes), verbosity: 0, ...options }).promise;
+}
+
+// Run fn with the browser globals a page script needs. textNodes are
+// { textContent, parentElement: { tagName, hidden }, box: { left, top, charWidth, height } }.
+async function withFakeDom(textNodes, fn, viewport = { width: 1000, height: 500 }) {
+  const saved = { document: global.document, window: global.window, NodeFilter: global.NodeFilter };
+  global.NodeFilter = { SHOW_TEXT: 4 };
+  global.window = {
+    scrollX: 0,
+    scrollY: 0,
+    innerWidth: viewport.width,
+    innerHeight: viewport.height,
+    getComputedStyle: el => ({ visibility: el.hidden ? 'hidden' : 'visible' })
+  };
+  global.document = {
+    documentElement: { scrollWidth: viewport.width, scrollHeight: viewport.height },
+    body: {},
+    querySelectorAll: () => [],
+    createTreeWalker: () => {
+      let index = 0;
+      return { nextNode: () => textNodes[index++] || null };
+    },
+    createRange: () => {
+      const range = {
+        setStart(node, offset) {
+          range.node = node;
+          range.start = offset;
+        },
+        setEnd(node, offset) {
+          range.end = offset;
+        },
+        getBoundingClientRect() {
+          const { left, top, charWidth, height } = range.node.box;
+          return { left: left + range.start * charWidth, top, width: (range.end - range.start) * charWidth, height };
+        }
+      };
+      return range;
+    }
+  };
+
+  try {
+    return await fn();
+  } finally {
+    Object.assign(global, saved);
+  }
+}
+
+// Playwright page stand-in that runs page scripts in-process (inside withFakeDom)
+function createFakePage(overrides = {}) {
+  return {
+    evaluate: async (fn, arg) => fn(arg),
+    ...overrides
+  };
+}
+
+// Playwright chromium stand-in for the browser pool: launchServer/connect hand out fake browsers,
+// recorded in browsers. crash() on a browser disconnects it as a Chromium crash would.
+function createFakeChromium() {
+  const browsers = [];
+  const chromium = {
+    browsers,
+    launchServer: jest.fn(async () => ({
+      wsEndpoint: () => `ws://browser-${browsers.length}`,
+      process: () => ({ pid: 0 }),
+      close: jest.fn(async () => {})
+    })),
+    connect: jest.fn(async () => {
+      const handlers = {};
+      const browser = {
+        connected: true,
+        contexts: [],
+        isConnected: () => browser.connected,
+        on: (event, handler) => { handlers[event] = handler; },
+        newContext: async () => {
+          const context = { newPage: async () => ({}), close: jest.fn(async () => {}) };
+          browser.contexts.push(context);
+          return context;
+        },
+        close: jest.fn(async () => { browser.connected = false; }),
+        crash: () => {
+          browser.connected = false;
+          if (handlers.disconnected) handlers.disconnected();
+        }
+      };
+      browsers.push(browser);
+      return browser;
+    })
+  };
+  return chromium;
+}
+
+// Wire a slide deck of the given length into a DocSendService: the next/prev buttons step one slide
+// (a click past either end leaves the deck where it is), the counter shows the current slide, and the
+// page input (when pageInput) and arrow keys jump. Returns the deck: { current, clicks, keys }.
+function createFakeDeck(service, { pages, pageInput = true }) {
+  const deck = { current: 1, clicks: 0, keys: 0 };
+  const move = target => {
+    if (target >= 1 && target <= pages) {
+      deck.current = target;
+    }
+  };
+  let typed = '';
+  const input = {
+    isVisible: async () => true,
+    isEditable: async () => true,
+    fill: async value => { typed = value; },
+    press: async () => move(Number(typed))
+  };
+
+  Object.assign(service, {
+    currentPage: 1,
+    profile: { selectors: { pageInput: ['input.page'], currentPage: ['.counter'] } },
+    page: {
+      $: async () => (pageInput ? input : null),
+      evaluate: async () => {},
+      waitForTimeout: () => new Promise(resolve => setImmediate(resolve)),
+      keyboard: {
+        press: async key => {
+          deck.keys++;
+          move(deck.current + (key === 'ArrowRight' ? 1 : -1));
+        }
+      }
+    },
+    getSlideSignature: async () => ({ key: String(deck.current), loaded: true }),
+    readCurrentPage: async () => deck.current,
+    findNavigationButton: async key => ({
+      click: async () => {
+        deck.clicks++;
+        move(deck.current + (key === 'nextButton' ? 1 : -1));
+      }
+    })
+  });
+  return deck;
+}
+
+module.exports = {
+  makePng,
+  createFakeSharp,
+  createRowImageSharp,
+  loadWithMocks,
+  readPdf,
+  withFakeDom,
+  createFakePage,
+  createFakeChromium,
+  createFakeDeck
+};